@@ -3,13 +3,20 @@
  * Coordinates all components and handles page navigation
  */
 
-import { getState, setState, resetState } from './utils/state.js';
+import { getState, setState, subscribe, resetState } from './utils/state.js';
+import { formatViewQuery, parseViewQuery } from './utils/urlState.js';
 import { initUnifiedInput, resetUnifiedInput } from './components/UnifiedInput.js';
 import { initMap, displayRoute, invalidateMapSize } from './components/MapView.js';
 import { initBirdList } from './components/BirdList.js';
+import { initElevationProfile } from './components/ElevationProfile.js';
+import { initStopList } from './components/StopList.js';
+import { initHotspotPanel } from './components/HotspotPanel.js';
 import { initBirdDetail, closeDetail } from './components/BirdDetail.js';
-import { initFilterControls, loadBirdData, resetFilters } from './components/FilterControls.js';
-import { formatDistance } from './services/routeService.js';
+import { initFilterControls, loadBirdData, resetFilters, setAnchorDate, setViewFilters } from './components/FilterControls.js';
+import { initLifeListControls } from './components/LifeListControls.js';
+import { initSightingLog } from './components/SightingLog.js';
+import { initExportMenu } from './components/ExportMenu.js';
+import { formatDistance, formatDuration, formatRideDate } from './services/routeService.js';
 import { addToHistory } from './services/routeHistory.js';
 import { initRecentRoutes, renderRecentRoutes } from './components/RecentRoutes.js';
 
@@ -19,6 +26,18 @@ let mapPage;
 let backButton;
 let routeNameEl;
 let routeDistanceEl;
+let storageNoticeEl;
+
+// View read from the link the app was opened with, applied once its route loads
+let pendingView = null;
+
+// State that shareable links capture (see urlState.js)
+const VIEW_STATE_KEYS = ['timeWindow', 'anchorDate', 'season', 'distanceFilter', 'rarityFilter',
+    'speciesFilter', 'selectedBird', 'mapView'];
+
+// Wait for the view to settle before rewriting the URL (ms)
+const URL_UPDATE_DELAY_MS = 300;
+let urlUpdateTimer = null;
 
 /**
  * Initialize the application
@@ -30,13 +49,20 @@ function init() {
     backButton = document.getElementById('back-button');
     routeNameEl = document.getElementById('route-name');
     routeDistanceEl = document.getElementById('route-distance');
+    storageNoticeEl = document.getElementById('storage-notice');
 
     // Initialize components
     initUnifiedInput();
     initMap();
     initBirdList();
+    initStopList();
+    initElevationProfile();
     initBirdDetail();
+    initHotspotPanel();
+    initSightingLog();
+    initExportMenu();
     initFilterControls();
+    initLifeListControls();
     initRecentRoutes(handleRecentRouteSelect);
 
     // Set up navigation
@@ -48,6 +74,9 @@ function init() {
     // Handle browser back button
     window.addEventListener('popstate', handlePopState);
 
+    // Keep the link shareable as the view changes
+    VIEW_STATE_KEYS.forEach(key => subscribe(key, scheduleUrlUpdate));
+
     // Check for route in URL on load
     checkUrlForRoute();
 
@@ -59,34 +88,76 @@ function init() {
  */
 async function handleRouteLoaded(event) {
     const routeData = event.detail;
+    const view = pendingView;
+    pendingView = null;
 
     // Update header with route info
     routeNameEl.textContent = routeData.name || 'Untitled Route';
-    routeDistanceEl.textContent = formatDistance(routeData.distance || 0);
-
-    // Add to route history
-    addToHistory({
-        id: routeData.id,
-        name: routeData.name,
-        distance: routeData.distance
-    });
+    routeDistanceEl.textContent = formatRouteMeta(routeData);
+
+    // Add to route history, unless it's an imported file too large to keep
+    if (routeData.notStored) {
+        storageNoticeEl.textContent = 'This route file is too large to keep in your browser, so it won\'t be ' +
+            'in your recent routes and this link won\'t reopen it. Import the file again to come back to it.';
+    } else {
+        addToHistory({
+            id: routeData.id,
+            type: routeData.type,
+            name: routeData.name,
+            distance: routeData.distance
+        });
+    }
+    storageNoticeEl.classList.toggle('hidden', !routeData.notStored);
 
     // Navigate to map page
     navigateToMap();
 
     // Display route on map
-    displayRoute(routeData);
+    displayRoute(routeData, view?.mapView);
 
     // Update URL
-    updateUrl(routeData.id);
+    updateUrl(routeData);
+
+    // Recorded rides look up birds around the day they were ridden
+    if (routeData.type === 'trip' && routeData.ride_date) {
+        setAnchorDate(routeData.ride_date);
+    }
+
+    // A shared link's filters replace the defaults (and the ride date)
+    if (view) {
+        setViewFilters(view);
+    }
 
     // Load bird data
     await loadBirdData();
 
+    // Keep the shared viewport rather than panning to the shared bird
+    if (view?.selectedSpecies) {
+        selectSpecies(view.selectedSpecies, !!view.mapView);
+    }
+
     // Update loading state
     setState({ isLoading: false });
 }
 
+/**
+ * Format the header meta line (distance, plus date and moving time for trips)
+ */
+function formatRouteMeta(routeData) {
+    const parts = [formatDistance(routeData.distance || 0)];
+
+    if (routeData.type === 'trip') {
+        if (routeData.ride_date) {
+            parts.push(formatRideDate(routeData.ride_date));
+        }
+        if (routeData.moving_time) {
+            parts.push(`${formatDuration(routeData.moving_time)} moving`);
+        }
+    }
+
+    return parts.join(' · ');
+}
+
 /**
  * Navigate to the landing page
  */
@@ -115,9 +186,10 @@ function navigateToLanding() {
 /**
  * Handle when a recent route is selected
  * @param {string|number} routeId - The route ID to load
+ * @param {string} type - 'route' | 'trip'
  */
-function handleRecentRouteSelect(routeId) {
-    loadRouteById(routeId);
+function handleRecentRouteSelect(routeId, type) {
+    loadRouteById(routeId, type);
 }
 
 /**
@@ -135,11 +207,46 @@ function navigateToMap() {
 }
 
 /**
- * Update URL with route ID
+ * Update URL with route or trip ID
+ */
+function updateUrl(routeData) {
+    const routeId = routeData.id;
+    const type = routeData.type === 'trip' ? 'trip' : 'route';
+    history.pushState({ page: 'map', routeId, type }, '', getRouteUrl(routeData));
+}
+
+/**
+ * Build the link to a route with the current view in its query string
  */
-function updateUrl(routeId) {
-    const url = `/route/${routeId}`;
-    history.pushState({ page: 'map', routeId }, '', url);
+function getRouteUrl(routeData) {
+    const type = routeData.type === 'trip' ? 'trip' : 'route';
+    const query = formatViewQuery(getState());
+    return `/${type}/${routeData.id}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Rewrite the current history entry's URL once the view stops changing
+ */
+function scheduleUrlUpdate() {
+    clearTimeout(urlUpdateTimer);
+    urlUpdateTimer = setTimeout(() => {
+        const route = getState('route');
+        if (!route || getState('currentPage') !== 'map') return;
+        history.replaceState(history.state, '', getRouteUrl(route));
+    }, URL_UPDATE_DELAY_MS);
+}
+
+/**
+ * Select a bird by species code, if it's in the filtered list
+ * @param {string} speciesCode - eBird species code
+ * @param {boolean} keepMapView - True to leave the map where it is instead of panning to the bird
+ */
+function selectSpecies(speciesCode, keepMapView = false) {
+    const filteredBirds = getState('filteredBirds');
+    const index = filteredBirds.findIndex(bird => bird.speciesCode === speciesCode);
+    if (index !== -1) {
+        setState({ selectedBird: { ...filteredBirds[index], index, keepMapView } });
+    }
 }
 
 /**
@@ -156,34 +263,39 @@ function handlePopState(event) {
 }
 
 /**
- * Check URL for route ID on initial load
+ * Check URL for route or trip ID on initial load
  */
 function checkUrlForRoute() {
     const path = window.location.pathname;
-    const match = path.match(/\/route\/(\d+)/);
+    const match = path.match(/\/(route|trip)\/(\d+|file-[a-z0-9]+)/);
 
     if (match) {
-        const routeId = match[1];
+        const [, type, routeId] = match;
+        // Restore the filters, selected bird and map viewport of a shared link
+        pendingView = parseViewQuery(window.location.search);
         // Load the route
-        loadRouteById(routeId);
+        loadRouteById(routeId, type);
     }
 }
 
 /**
- * Load a route by ID (for direct URL access)
+ * Load a route or trip by ID (for direct URL access)
+ * @param {string|number} routeId - Route or trip ID
+ * @param {string} type - 'route' | 'trip'
  */
-async function loadRouteById(routeId) {
-    const { fetchRoute } = await import('./services/routeService.js');
+async function loadRouteById(routeId, type = 'route') {
+    const { fetchRoute, fetchTrip } = await import('./services/routeService.js');
 
     try {
         setState({ isLoading: true });
-        const routeData = await fetchRoute(routeId);
+        const routeData = type === 'trip' ? await fetchTrip(routeId) : await fetchRoute(routeId);
 
         // Dispatch route loaded event
         window.dispatchEvent(new CustomEvent('routeLoaded', { detail: routeData }));
     } catch (error) {
         console.error('Failed to load route:', error);
         // Stay on landing page
+        pendingView = null;
         setState({ isLoading: false });
     }
 }
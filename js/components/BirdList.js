@@ -5,6 +5,10 @@
 
 import { getState, setState, subscribe } from '../utils/state.js';
 import { getBirdPhotoUrl, fetchBirdPhoto, getEBirdSpeciesUrl, formatObservationDate, getLocationDescription } from '../services/birdService.js';
+import { formatLikelihood } from '../utils/likelihood.js';
+import { getRarityLabel } from '../utils/birdListExport.js';
+import { formatSeason, getSeasonDates, getSeasonYears } from '../utils/season.js';
+import { openLogDialog } from './SightingLog.js';
 
 // UI Elements
 let sidebarEl;
@@ -13,10 +17,15 @@ let countEl;
 let emptyStateEl;
 let emptyMessageEl;
 let emptySuggestionEl;
+let coverageNoticeEl;
+let seasonNoticeEl;
 
 // Currently active card
 let activeCardIndex = null;
 
+// Family codes whose group is collapsed (kept across re-renders)
+const collapsedFamilies = new Set();
+
 /**
  * Initialize the bird list component
  */
@@ -28,6 +37,8 @@ export function initBirdList() {
     emptyStateEl = document.getElementById('empty-state');
     emptyMessageEl = document.getElementById('empty-message');
     emptySuggestionEl = document.getElementById('empty-suggestion');
+    coverageNoticeEl = document.getElementById('coverage-notice');
+    seasonNoticeEl = document.getElementById('season-notice');
 
     // Set up mobile bottom sheet behavior
     setupBottomSheet();
@@ -38,10 +49,44 @@ export function initBirdList() {
     // Set up photo modal
     setupPhotoModal();
 
+    // Set up Species / Stops tabs
+    setupSidebarTabs();
+
     // Subscribe to state changes
     subscribe('filteredBirds', renderBirdList);
     subscribe('selectedBird', highlightSelectedCard);
+    subscribe('hoveredBird', highlightHoveredCard);
     subscribe('rarityFilter', updateEmptyStateMessage);
+    subscribe('anchorDate', updateEmptyStateMessage);
+    subscribe('season', updateEmptyStateMessage);
+    subscribe('season', renderSeasonNotice);
+    subscribe('speciesFilter', updateEmptyStateMessage);
+    subscribe('lifeList', updateEmptyStateMessage);
+    subscribe('searchCoverage', renderCoverageNotice);
+    subscribe('sidebarView', showSidebarView);
+}
+
+/**
+ * Set up the tabs switching the sidebar between species, birding stops and logged sightings
+ */
+function setupSidebarTabs() {
+    sidebarEl.querySelectorAll('.sidebar-tab').forEach(tab => {
+        tab.addEventListener('click', () => setState({ sidebarView: tab.dataset.view }));
+    });
+    showSidebarView(getState('sidebarView'));
+}
+
+/**
+ * Show one sidebar view
+ * @param {string} view - 'species' | 'stops' | 'log'
+ */
+function showSidebarView(view) {
+    sidebarEl.querySelectorAll('.sidebar-tab').forEach(tab => {
+        const isActive = tab.dataset.view === view;
+        tab.classList.toggle('active', isActive);
+        tab.setAttribute('aria-selected', String(isActive));
+        document.getElementById(tab.getAttribute('aria-controls')).classList.toggle('hidden', !isActive);
+    });
 }
 
 /**
@@ -320,22 +365,45 @@ function renderBirdList(birds) {
     listEl.classList.remove('hidden');
     emptyStateEl.classList.add('hidden');
 
-    // Render bird cards
-    listEl.innerHTML = birds.map((bird, index) => createBirdCard(bird, index)).join('');
+    // Render bird cards, under family headers when grouped
+    listEl.innerHTML = state.groupByFamily
+        ? renderFamilyGroups(birds)
+        : birds.map((bird, index) => createBirdCard(bird, index)).join('');
+
+    // Bind family header handlers
+    listEl.querySelectorAll('.family-header').forEach(header => {
+        header.addEventListener('click', () => toggleFamily(header.closest('.family-group')));
+    });
 
     // Bind click handlers
     listEl.querySelectorAll('.bird-card').forEach((card, index) => {
         card.addEventListener('click', (e) => {
             if (e.target.closest('a')) return;  // Don't toggle on link clicks
             if (e.target.closest('.sighting-row')) return;  // Don't toggle on sighting row clicks
+            if (e.target.closest('.saw-it-button')) return;  // Handled below
             handleCardClick(birds[index], index);
         });
+
+        // Share hover with the map and elevation profile
+        card.addEventListener('mouseenter', () => setState({ hoveredBird: index }));
+        card.addEventListener('mouseleave', () => setState({ hoveredBird: null }));
+    });
+
+    // Bind "Saw it" buttons on cards and their observations
+    listEl.querySelectorAll('.saw-it-button').forEach(button => {
+        button.addEventListener('click', () => {
+            const bird = birds[parseInt(button.closest('.bird-card').dataset.index)];
+            const row = button.closest('.sighting-row');
+            const sighting = row ? bird.sightings[parseInt(row.dataset.sightingIndex)] : null;
+            openLogDialog(bird, sighting);
+        });
     });
 
     // Bind sighting row click handlers
     listEl.querySelectorAll('.sighting-row').forEach(row => {
         row.addEventListener('click', (e) => {
             if (e.target.closest('a')) return;  // Don't trigger on link clicks
+            if (e.target.closest('.saw-it-button')) return;
             const lat = parseFloat(row.dataset.lat);
             const lng = parseFloat(row.dataset.lng);
             if (!isNaN(lat) && !isNaN(lng)) {
@@ -343,7 +411,7 @@ function renderBirdList(birds) {
                 const state = getState();
                 const selectedBird = state.selectedBird;
                 if (selectedBird) {
-                    setState({ selectedBird: { ...selectedBird, lat, lng } });
+                    setState({ selectedBird: { ...selectedBird, lat, lng, keepMapView: false } });
                 }
             }
         });
@@ -367,6 +435,60 @@ function renderBirdList(birds) {
     loadBirdPhotos(birds);
 }
 
+/**
+ * Render birds as collapsible family groups
+ * Birds arrive already grouped (see applyFilters), so a new group starts
+ * whenever the family changes
+ * @param {array} birds - Filtered birds, contiguous by family
+ * @returns {string} HTML string
+ */
+function renderFamilyGroups(birds) {
+    const groups = [];
+    birds.forEach((bird, index) => {
+        const familyCode = bird.familyCode || '';
+        let group = groups[groups.length - 1];
+        if (!group || group.familyCode !== familyCode) {
+            group = { familyCode, bird, cards: [] };
+            groups.push(group);
+        }
+        group.cards.push(createBirdCard(bird, index));
+    });
+
+    return groups.map(({ familyCode, bird, cards }) => {
+        const isCollapsed = collapsedFamilies.has(familyCode);
+        const name = familyCode ? escapeHtml(bird.familyComName) : 'Other birds';
+        return `
+            <section class="family-group ${isCollapsed ? 'collapsed' : ''}" data-family="${escapeHtml(familyCode)}">
+                <button class="family-header" aria-expanded="${!isCollapsed}">
+                    <svg class="family-chevron" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M6 9l6 6 6-6"></path>
+                    </svg>
+                    <span class="family-name">${name}</span>
+                    ${bird.familySciName ? `<span class="family-scientific">${escapeHtml(bird.familySciName)}</span>` : ''}
+                    <span class="family-count">${cards.length}</span>
+                </button>
+                <div class="family-birds">${cards.join('')}</div>
+            </section>
+        `;
+    }).join('');
+}
+
+/**
+ * Collapse or expand a family group
+ * @param {Element} groupEl - .family-group element
+ */
+function toggleFamily(groupEl) {
+    const familyCode = groupEl.dataset.family;
+    const isCollapsed = groupEl.classList.toggle('collapsed');
+    groupEl.querySelector('.family-header').setAttribute('aria-expanded', String(!isCollapsed));
+
+    if (isCollapsed) {
+        collapsedFamilies.add(familyCode);
+    } else {
+        collapsedFamilies.delete(familyCode);
+    }
+}
+
 /**
  * Load bird photos asynchronously for all birds in the list
  */
@@ -398,19 +520,30 @@ const PLACEHOLDER_IMAGE = 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d
 function renderSightingsList(sightings, currentSubId) {
     if (!sightings || sightings.length === 0) return '';
 
-    const sightingRows = sightings.map(sighting => {
+    const routeCoords = getState('routeGeoJSON');
+
+    const sightingRows = sightings.map((sighting, sightingIndex) => {
         const isCurrentSighting = sighting.subId === currentSubId;
+        const routePosition = sighting.routeMile != null ? getLocationDescription(sighting, routeCoords) : '';
         return `
             <div class="sighting-row ${isCurrentSighting ? 'current' : ''}"
                  data-lat="${sighting.lat}"
                  data-lng="${sighting.lng}"
-                 data-sighting-subid="${sighting.subId}">
+                 data-sighting-subid="${sighting.subId}"
+                 data-sighting-index="${sightingIndex}">
                 <div class="sighting-info">
                     ${isCurrentSighting ? '<span class="sighting-current-label">This observation</span>' : ''}
                     <span class="sighting-date">${formatObservationDate(sighting.obsDt)}</span>
                     ${sighting.locName ? `<span class="sighting-location">${escapeHtml(sighting.locName)}</span>` : ''}
+                    ${routePosition ? `<span class="sighting-route-mile">${routePosition}</span>` : ''}
                 </div>
                 ${sighting.howMany > 1 ? `<span class="sighting-count">×${sighting.howMany}</span>` : ''}
+                <button class="saw-it-button compact" title="I saw it here" aria-label="I saw it here">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
+                        <circle cx="12" cy="12" r="3"></circle>
+                    </svg>
+                </button>
                 ${sighting.subId ? `
                     <a class="sighting-link" href="https://ebird.org/checklist/${sighting.subId}"
                        target="_blank" rel="noopener" title="View checklist on eBird">
@@ -436,11 +569,20 @@ function renderSightingsList(sightings, currentSubId) {
  */
 function createBirdCard(bird, index) {
     const rarityClass = bird.rarity || 'common';
-    const rarityLabel = bird.rarity === 'rare' ? 'Notable' : capitalizeFirst(bird.rarity || 'common');
+    const rarityLabel = getRarityLabel(bird);
+    const likelihood = formatLikelihood(bird);
+    const rarityTitle = bird.insufficientData
+        ? `${bird.reportUnit === 'day' ? 'Too few days' : 'Too little of the route'} searched to tell ` +
+            `common from uncommon${likelihood ? ` (${likelihood})` : ''}`
+        : likelihood && `${likelihood} along the route`;
+    const lifeListClass = bird.lifeListStatus ? ` ${bird.lifeListStatus}` : '';
 
     // Show observation date if available
     const metaInfo = bird.obsDt ? formatObservationDate(bird.obsDt) : '';
 
+    // Show where along the route the closest sighting is
+    const routePosition = bird.routeMile != null ? getLocationDescription(bird, getState('routeGeoJSON')) : '';
+
     // Escape bird name for safe HTML attribute use
     const safeName = escapeHtml(bird.comName);
     const safeScientificName = bird.sciName ? escapeHtml(bird.sciName) : '';
@@ -449,7 +591,7 @@ function createBirdCard(bird, index) {
     const ebirdUrl = getEBirdSpeciesUrl(bird.speciesCode);
 
     return `
-        <div class="bird-card" data-index="${index}" data-species-code="${bird.speciesCode}">
+        <div class="bird-card${lifeListClass}" data-index="${index}" data-species-code="${bird.speciesCode}">
             <div class="bird-card-header">
                 <img
                     class="bird-card-photo"
@@ -460,10 +602,13 @@ function createBirdCard(bird, index) {
                 <div class="bird-card-info">
                     <div class="bird-card-name">${safeName}</div>
                     <div class="bird-card-meta">
-                        <span class="bird-card-rarity">
+                        <span class="bird-card-rarity"${rarityTitle ? ` title="${rarityTitle}"` : ''}>
                             <span class="rarity-dot ${rarityClass}"></span>
                             <span class="rarity-text ${rarityClass}">${rarityLabel}</span>
                         </span>
+                        ${bird.lifeListStatus === 'target' ? '<span class="life-list-badge target" title="Not on your life list">Target</span>' : ''}
+                        ${bird.lifeListStatus === 'seen' ? '<span class="life-list-badge seen" title="On your life list">Seen</span>' : ''}
+                        ${routePosition ? `<span class="bird-card-route-mile">${routePosition}</span>` : ''}
                         ${metaInfo ? `<span class="bird-card-date">${metaInfo}</span>` : ''}
                     </div>
                 </div>
@@ -493,6 +638,14 @@ function createBirdCard(bird, index) {
                         </svg>
                         ${formatObservationDate(bird.obsDt)}
                     </span>` : ''}
+                    ${likelihood ? `<span class="bird-card-likelihood">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="20" x2="18" y2="10"></line>
+                            <line x1="12" y1="20" x2="12" y2="4"></line>
+                            <line x1="6" y1="20" x2="6" y2="14"></line>
+                        </svg>
+                        ${likelihood}
+                    </span>` : ''}
                 </div>
                 <a class="bird-card-detail-link" href="${ebirdUrl}" target="_blank" rel="noopener">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -500,6 +653,13 @@ function createBirdCard(bird, index) {
                     </svg>
                     View species on eBird
                 </a>
+                <button class="saw-it-button">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
+                        <circle cx="12" cy="12" r="3"></circle>
+                    </svg>
+                    Saw it
+                </button>
                 ${bird.sightings && bird.sightings.length > 0 ? renderSightingsList(bird.sightings, bird.subId) : ''}
             </div>
         </div>
@@ -580,6 +740,10 @@ function highlightSelectedCard(bird) {
     activeCardIndex = bird.index;
     const card = listEl.querySelector(`[data-index="${bird.index}"]`);
     if (card) {
+        // Open its family group if collapsed
+        const groupEl = card.closest('.family-group.collapsed');
+        if (groupEl) toggleFamily(groupEl);
+
         card.classList.add('active');
         card.classList.add('expanded');
         // Load expanded photo
@@ -589,15 +753,47 @@ function highlightSelectedCard(bird) {
     }
 }
 
+/**
+ * Mark the card of the bird hovered in the map or elevation profile
+ * @param {number|null} index - filteredBirds index of the hovered bird
+ */
+function highlightHoveredCard(index) {
+    listEl.querySelectorAll('.bird-card.hovered').forEach(card => {
+        card.classList.remove('hovered');
+    });
+
+    if (index === null) return;
+
+    const card = listEl.querySelector(`[data-index="${index}"]`);
+    if (card) {
+        card.classList.add('hovered');
+    }
+}
+
 /**
  * Update empty state message based on current filters
  */
 function updateEmptyStateMessage() {
     const state = getState();
-
-    if (state.rarityFilter === 'notable') {
-        emptyMessageEl.textContent = 'No notable birds reported recently';
+    const period = state.season
+        ? `in ${formatSeason(state.season)} of past years`
+        : state.anchorDate ? 'around this date' : 'recently';
+
+    if (state.speciesFilter) {
+        emptyMessageEl.textContent = `No matches for "${state.speciesFilter.label}" ${period}`;
+        emptySuggestionEl.textContent = 'Clear the species filter or try a wider distance.';
+    } else if (state.rarityFilter === 'targets') {
+        emptyMessageEl.textContent = `No targets reported ${period}`;
+        emptySuggestionEl.textContent = 'Every species found is already on your life list.';
+    } else if (state.rarityFilter === 'notable') {
+        emptyMessageEl.textContent = `No notable birds reported ${period}`;
         emptySuggestionEl.textContent = 'Toggle to "All Birds" to see common species.';
+    } else if (state.season) {
+        emptyMessageEl.textContent = `No bird sightings ${period}`;
+        emptySuggestionEl.textContent = 'Try a whole month or a wider distance.';
+    } else if (state.anchorDate) {
+        emptyMessageEl.textContent = 'No bird sightings around this date';
+        emptySuggestionEl.textContent = 'Try a wider time window or a different date.';
     } else {
         emptyMessageEl.textContent = 'No recent bird sightings';
         emptySuggestionEl.textContent = 'Try a different route or check back later.';
@@ -605,10 +801,41 @@ function updateEmptyStateMessage() {
 }
 
 /**
- * Capitalize first letter
+ * Show a notice when the route was too long to search completely
+ * @param {object|null} coverage - Sampling result with routeKm, coveredKm, gaps
  */
-function capitalizeFirst(str) {
-    return str.charAt(0).toUpperCase() + str.slice(1);
+function renderCoverageNotice(coverage) {
+    if (!coverage || coverage.gaps.length === 0) {
+        coverageNoticeEl.classList.add('hidden');
+        return;
+    }
+
+    const percent = Math.floor((coverage.coveredKm / coverage.routeKm) * 100);
+    const largestGap = coverage.gaps.reduce((max, gap) =>
+        (gap.endKm - gap.startKm > max.endKm - max.startKm ? gap : max)
+    );
+    const toMiles = km => Math.round(km / 1.609344);
+
+    coverageNoticeEl.textContent = `This route is long, so birds were searched along ${percent}% of it ` +
+        `(largest gap: mile ${toMiles(largestGap.startKm)}–${toMiles(largestGap.endKm)}).`;
+    coverageNoticeEl.classList.remove('hidden');
+}
+
+/**
+ * Explain where the species come from while planning for a season
+ * @param {string|null} season - Season being planned for
+ */
+function renderSeasonNotice(season) {
+    if (!season) {
+        seasonNoticeEl.classList.add('hidden');
+        return;
+    }
+
+    const years = getSeasonYears(season);
+    const yearRange = years.length > 1 ? `${years[0]}–${years[years.length - 1]}` : years[0];
+    seasonNoticeEl.textContent = `Planning for ${formatSeason(season)}: species reported along the route ` +
+        `on ${getSeasonDates(season).length} days sampled from ${yearRange}, with how often each was seen.`;
+    seasonNoticeEl.classList.remove('hidden');
 }
 
 /**
@@ -0,0 +1,430 @@
+/**
+ * BirdRide - Elevation Profile Component
+ * Plots route elevation against distance beneath the map, with each sighting
+ * placed at its route mile
+ *
+ * Hover and selection are shared with the map and bird list through state:
+ * hoveredBird and selectedBird hold a filteredBirds index, and routeHoverPoint
+ * is the route location under the cursor.
+ */
+
+import { getState, setState, subscribe } from '../utils/state.js';
+import { getRouteIndex, getPointAtDistance } from '../utils/routeGeometry.js';
+import { formatObservationDate } from '../services/birdService.js';
+import { getPreference, setPreference } from '../services/preferences.js';
+import { invalidateMapSize } from './MapView.js';
+
+const FEET_PER_METER = 3.28084;
+
+// Space around the plot for axis labels (px)
+const MARGIN = { top: 10, right: 12, bottom: 20, left: 48 };
+
+// Smallest elevation range plotted, so flat routes don't look mountainous (ft)
+const MIN_ELEVATION_RANGE = 200;
+
+// Sightings are drawn in this order so rarer birds sit on top
+const RARITY_ORDER = ['common', 'uncommon', 'rare'];
+
+// DOM elements
+let panelEl;
+let chartEl;
+let statsEl;
+let toggleButton;
+let tooltipEl;
+
+// Current profile: { points: [{ mile, elevation }], totalMiles, minElevation, maxElevation }
+let profile = null;
+
+// Scales from the last render: { xScale, yScale, mileAt }
+let scales = null;
+
+// Pending route hover update, applied once per animation frame
+let hoverFrame = null;
+
+/**
+ * Initialize the elevation profile component
+ */
+export function initElevationProfile() {
+    panelEl = document.getElementById('elevation-profile');
+    chartEl = document.getElementById('elevation-profile-chart');
+    statsEl = document.getElementById('elevation-profile-stats');
+    toggleButton = document.getElementById('elevation-profile-toggle');
+    tooltipEl = document.getElementById('elevation-profile-tooltip');
+
+    setCollapsed(getPreference('elevationProfileCollapsed', false));
+    toggleButton.addEventListener('click', () => {
+        const collapsed = !panelEl.classList.contains('collapsed');
+        setCollapsed(collapsed);
+        setPreference('elevationProfileCollapsed', collapsed);
+        invalidateMapSize();
+    });
+
+    chartEl.addEventListener('mousemove', handleChartMouseMove);
+    chartEl.addEventListener('mouseleave', handleChartMouseLeave);
+    chartEl.addEventListener('click', handleChartClick);
+
+    let resizeFrame = null;
+    window.addEventListener('resize', () => {
+        cancelAnimationFrame(resizeFrame);
+        resizeFrame = requestAnimationFrame(renderChart);
+    });
+
+    // Subscribe to state changes
+    subscribe('routeGeoJSON', updateProfile);
+    subscribe('filteredBirds', renderChart);
+    subscribe('selectedBird', highlightSightings);
+    subscribe('hoveredBird', highlightSightings);
+}
+
+/**
+ * Collapse or expand the panel
+ * @param {boolean} collapsed - True to show only the header
+ */
+function setCollapsed(collapsed) {
+    panelEl.classList.toggle('collapsed', collapsed);
+    toggleButton.setAttribute('aria-expanded', String(!collapsed));
+    toggleButton.textContent = collapsed ? 'Show' : 'Hide';
+    if (!collapsed) {
+        renderChart();
+    }
+}
+
+/**
+ * Rebuild the profile for a new route
+ * The panel is hidden when the route has no elevation data
+ * @param {array} routeCoords - Array of [lat, lng] route coordinates
+ */
+function updateProfile(routeCoords) {
+    const route = getState('route');
+    profile = routeCoords ? buildProfile(route, routeCoords) : null;
+
+    const wasHidden = panelEl.classList.contains('hidden');
+    panelEl.classList.toggle('hidden', !profile);
+    if (wasHidden !== !profile) {
+        invalidateMapSize();
+    }
+
+    statsEl.textContent = profile ? formatElevationStats(route, profile) : '';
+    renderChart();
+}
+
+/**
+ * Build the elevation profile from route track points
+ * Distances come from the route index so sightings' routeMile lines up with the profile
+ * @param {object} route - Normalized route data
+ * @param {array} routeCoords - Array of [lat, lng] coordinates extracted from the route
+ * @returns {object|null} Profile, or null if there are fewer than two elevations
+ */
+function buildProfile(route, routeCoords) {
+    const trackPoints = route?.track_points;
+    if (!trackPoints || trackPoints.length !== routeCoords.length) {
+        return null;
+    }
+
+    const { cumulative } = getRouteIndex(routeCoords);
+    const points = [];
+    trackPoints.forEach((point, i) => {
+        if (typeof point.e === 'number') {
+            points.push({ mile: cumulative[i], elevation: point.e * FEET_PER_METER });
+        }
+    });
+
+    if (points.length < 2) {
+        return null;
+    }
+
+    const elevations = points.map(p => p.elevation);
+    return {
+        points,
+        totalMiles: cumulative[cumulative.length - 1],
+        minElevation: Math.min(...elevations),
+        maxElevation: Math.max(...elevations)
+    };
+}
+
+/**
+ * Format the header summary (gain, loss, high point)
+ */
+function formatElevationStats(route, profile) {
+    const parts = [];
+    if (route.elevation_gain) {
+        parts.push(`↑ ${formatFeet(route.elevation_gain * FEET_PER_METER)}`);
+    }
+    if (route.elevation_loss) {
+        parts.push(`↓ ${formatFeet(route.elevation_loss * FEET_PER_METER)}`);
+    }
+    parts.push(`High ${formatFeet(profile.maxElevation)}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Format an elevation in feet
+ */
+function formatFeet(feet) {
+    return `${Math.round(feet).toLocaleString()} ft`;
+}
+
+/**
+ * Render the chart at the panel's current size
+ */
+function renderChart() {
+    if (!profile || panelEl.classList.contains('collapsed')) {
+        chartEl.innerHTML = '';
+        scales = null;
+        return;
+    }
+
+    const width = chartEl.clientWidth;
+    const height = chartEl.clientHeight;
+    if (width === 0 || height === 0) {
+        return;
+    }
+
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+
+    // Pad the elevation range to at least MIN_ELEVATION_RANGE, centered on the route
+    const range = Math.max(profile.maxElevation - profile.minElevation, MIN_ELEVATION_RANGE);
+    const mid = (profile.maxElevation + profile.minElevation) / 2;
+    const yMin = mid - range / 2;
+    const yMax = mid + range / 2;
+    const totalMiles = profile.totalMiles || 1;
+
+    const xScale = mile => MARGIN.left + (mile / totalMiles) * plotWidth;
+    const yScale = elevation => MARGIN.top + (1 - (elevation - yMin) / (yMax - yMin)) * plotHeight;
+    const mileAt = x => Math.max(0, Math.min(totalMiles, ((x - MARGIN.left) / plotWidth) * totalMiles));
+    scales = { xScale, yScale, mileAt };
+
+    const line = thinPoints(profile.points, plotWidth)
+        .map(p => `${xScale(p.mile).toFixed(1)},${yScale(p.elevation).toFixed(1)}`);
+    const baseline = (MARGIN.top + plotHeight).toFixed(1);
+    const area = `M${xScale(0).toFixed(1)},${baseline} L${line.join(' L')} L${xScale(totalMiles).toFixed(1)},${baseline} Z`;
+
+    chartEl.innerHTML = `
+        <svg class="elevation-chart" width="${width}" height="${height}" role="img" aria-label="Elevation profile">
+            ${renderElevationAxis(yMin, yMax, yScale, plotWidth)}
+            ${renderDistanceAxis(totalMiles, xScale, MARGIN.top + plotHeight)}
+            <path class="elevation-area" d="${area}"></path>
+            <polyline class="elevation-line" points="${line.join(' ')}"></polyline>
+            <line class="elevation-cursor hidden" y1="${MARGIN.top}" y2="${baseline}"></line>
+            <g class="elevation-sightings">${renderSightings(getState('filteredBirds'), xScale, yScale)}</g>
+        </svg>
+    `;
+
+    highlightSightings();
+}
+
+/**
+ * Thin the profile to about one point per pixel, keeping the first and last points
+ * @param {array} points - Profile points
+ * @param {number} plotWidth - Plot width in pixels
+ * @returns {array} Points to draw
+ */
+function thinPoints(points, plotWidth) {
+    const step = Math.floor(points.length / Math.max(plotWidth, 1));
+    if (step <= 1) {
+        return points;
+    }
+    const thinned = points.filter((_, i) => i % step === 0);
+    if (thinned[thinned.length - 1] !== points[points.length - 1]) {
+        thinned.push(points[points.length - 1]);
+    }
+    return thinned;
+}
+
+/**
+ * Render elevation gridlines and labels (bottom, middle and top of the plot)
+ */
+function renderElevationAxis(yMin, yMax, yScale, plotWidth) {
+    return [yMin, (yMin + yMax) / 2, yMax].map(elevation => {
+        const y = yScale(elevation).toFixed(1);
+        return `
+            <line class="elevation-grid" x1="${MARGIN.left}" x2="${MARGIN.left + plotWidth}" y1="${y}" y2="${y}"></line>
+            <text class="elevation-label" x="${MARGIN.left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${formatFeet(elevation)}</text>
+        `;
+    }).join('');
+}
+
+/**
+ * Render mile labels along the bottom at a round interval
+ */
+function renderDistanceAxis(totalMiles, xScale, y) {
+    const interval = [1, 2, 5, 10, 20, 25, 50, 100, 200, 500].find(i => totalMiles / i <= 8) || 1000;
+    const labels = [];
+    for (let mile = 0; mile <= totalMiles; mile += interval) {
+        labels.push(`<text class="elevation-label" x="${xScale(mile).toFixed(1)}" y="${y + 14}" text-anchor="middle">${mile} mi</text>`);
+    }
+    return labels.join('');
+}
+
+/**
+ * Render a marker for every sighting on the route
+ * @param {array} birds - Filtered birds (sightings carry routeMile from applyFilters)
+ * @returns {string} SVG markup
+ */
+function renderSightings(birds, xScale, yScale) {
+    const markers = [];
+    birds.forEach((bird, index) => {
+        const rarity = bird.rarity || 'common';
+        (bird.sightings || [bird]).forEach((sighting, sightingIndex) => {
+            if (typeof sighting.routeMile !== 'number') return;
+            const x = xScale(sighting.routeMile).toFixed(1);
+            const y = yScale(getElevationAtMile(sighting.routeMile)).toFixed(1);
+            markers.push({
+                rarity,
+                html: `<circle class="profile-sighting ${rarity}" cx="${x}" cy="${y}" r="4" data-index="${index}" data-sighting="${sightingIndex}"></circle>`
+            });
+        });
+    });
+
+    return markers
+        .sort((a, b) => RARITY_ORDER.indexOf(a.rarity) - RARITY_ORDER.indexOf(b.rarity))
+        .map(marker => marker.html)
+        .join('');
+}
+
+/**
+ * Interpolate the profile elevation at a distance along the route
+ * @param {number} mile - Distance from the start in miles
+ * @returns {number} Elevation in feet
+ */
+function getElevationAtMile(mile) {
+    const { points } = profile;
+    if (mile <= points[0].mile) return points[0].elevation;
+    if (mile >= points[points.length - 1].mile) return points[points.length - 1].elevation;
+
+    let low = 0;
+    let high = points.length - 1;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (points[mid].mile <= mile) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    const span = points[high].mile - points[low].mile;
+    const t = span > 0 ? (mile - points[low].mile) / span : 0;
+    return points[low].elevation + (points[high].elevation - points[low].elevation) * t;
+}
+
+/**
+ * Mark the sightings of the selected and hovered birds
+ * Their markers are moved to the end of the group so they draw on top
+ */
+function highlightSightings() {
+    const svg = chartEl.querySelector('.elevation-chart');
+    if (!svg) return;
+
+    const selected = getState('selectedBird');
+    const hovered = getState('hoveredBird');
+    svg.classList.toggle('has-selection', !!selected);
+
+    const group = svg.querySelector('.elevation-sightings');
+    const raised = [];
+    group.querySelectorAll('.profile-sighting').forEach(marker => {
+        const index = parseInt(marker.dataset.index);
+        const isSelected = selected?.index === index;
+        const isHovered = hovered === index;
+        marker.classList.toggle('selected', isSelected);
+        marker.classList.toggle('hovered', isHovered);
+        if (isSelected || isHovered) raised.push(marker);
+    });
+    raised.forEach(marker => group.appendChild(marker));
+}
+
+/**
+ * Show the cursor and tooltip for the mouse position, and share the hovered
+ * route point and bird through state
+ */
+function handleChartMouseMove(e) {
+    if (!scales) return;
+
+    const sightingEl = e.target.closest('.profile-sighting');
+    const rect = chartEl.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+
+    let mile;
+    let hoveredBird = null;
+    if (sightingEl) {
+        const { bird, sighting } = getSightingForMarker(sightingEl);
+        hoveredBird = parseInt(sightingEl.dataset.index);
+        mile = sighting.routeMile;
+        showTooltip(x, `<strong>${escapeHtml(bird.comName)}</strong>
+            <span>Mile ${mile.toFixed(1)}${sighting.obsDt ? ` · ${formatObservationDate(sighting.obsDt)}` : ''}</span>`);
+    } else {
+        mile = scales.mileAt(x);
+        showTooltip(x, `<span>Mile ${mile.toFixed(1)} · ${formatFeet(getElevationAtMile(mile))}</span>`);
+    }
+
+    const cursor = chartEl.querySelector('.elevation-cursor');
+    const cursorX = scales.xScale(mile).toFixed(1);
+    cursor.setAttribute('x1', cursorX);
+    cursor.setAttribute('x2', cursorX);
+    cursor.classList.remove('hidden');
+
+    if (getState('hoveredBird') !== hoveredBird) {
+        setState({ hoveredBird });
+    }
+
+    // The map only needs the latest position once per frame
+    cancelAnimationFrame(hoverFrame);
+    hoverFrame = requestAnimationFrame(() => {
+        setState({ routeHoverPoint: getPointAtDistance(getState('routeGeoJSON'), mile) });
+    });
+}
+
+/**
+ * Clear the cursor, tooltip and shared hover state
+ */
+function handleChartMouseLeave() {
+    cancelAnimationFrame(hoverFrame);
+    chartEl.querySelector('.elevation-cursor')?.classList.add('hidden');
+    tooltipEl.classList.add('hidden');
+    setState({ hoveredBird: null, routeHoverPoint: null });
+}
+
+/**
+ * Select the bird at its clicked sighting
+ */
+function handleChartClick(e) {
+    const sightingEl = e.target.closest('.profile-sighting');
+    if (!sightingEl) return;
+
+    const { bird, sighting } = getSightingForMarker(sightingEl);
+    const index = parseInt(sightingEl.dataset.index);
+    setState({ selectedBird: { ...bird, index, lat: sighting.lat, lng: sighting.lng } });
+}
+
+/**
+ * Look up the bird and sighting a marker represents
+ * @param {Element} sightingEl - Sighting marker
+ * @returns {object} { bird, sighting }
+ */
+function getSightingForMarker(sightingEl) {
+    const bird = getState('filteredBirds')[parseInt(sightingEl.dataset.index)];
+    const sighting = (bird.sightings || [bird])[parseInt(sightingEl.dataset.sighting)];
+    return { bird, sighting };
+}
+
+/**
+ * Show the tooltip above the chart at an x position, kept inside the panel
+ */
+function showTooltip(x, html) {
+    tooltipEl.innerHTML = html;
+    tooltipEl.classList.remove('hidden');
+
+    const maxLeft = chartEl.clientWidth - tooltipEl.offsetWidth;
+    const left = Math.max(0, Math.min(maxLeft, x - tooltipEl.offsetWidth / 2));
+    tooltipEl.style.left = `${left}px`;
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,205 @@
+/**
+ * BirdRide - Export Menu Component
+ * Takes the bird list offline: a CSV table, GPX waypoints with the route for
+ * a bike computer, or a printable field card (print or save as PDF)
+ */
+
+import { getState, subscribe } from '../utils/state.js';
+import { formatBirdListCsv, formatRouteGpx, getRarityLabel, getLatestSighting } from '../utils/birdListExport.js';
+import { downloadFile, toFileNamePart } from '../utils/download.js';
+import { formatSeason } from '../utils/season.js';
+import { fetchBirdPhoto, formatObservationDate } from '../services/birdService.js';
+import { formatRideDate } from '../services/routeService.js';
+
+// UI Elements
+let buttonEl;
+let menuEl;
+let fieldCardEl;
+
+/**
+ * Initialize the export menu
+ */
+export function initExportMenu() {
+    buttonEl = document.getElementById('export-button');
+    menuEl = document.getElementById('export-menu');
+    fieldCardEl = document.getElementById('field-card');
+
+    buttonEl.addEventListener('click', () => setMenuOpen(menuEl.classList.contains('hidden')));
+    menuEl.querySelectorAll('[data-export]').forEach(item => {
+        item.addEventListener('click', () => {
+            setMenuOpen(false);
+            handleExport(item.dataset.export);
+        });
+    });
+
+    // Close when clicking outside or pressing Escape
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.export-control')) setMenuOpen(false);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') setMenuOpen(false);
+    });
+
+    // Leave print mode once the print dialog closes
+    window.addEventListener('afterprint', () => document.body.classList.remove('printing-field-card'));
+
+    subscribe('filteredBirds', birds => {
+        buttonEl.disabled = birds.length === 0;
+        if (birds.length === 0) setMenuOpen(false);
+    });
+}
+
+/**
+ * Show or hide the export menu
+ */
+function setMenuOpen(open) {
+    menuEl.classList.toggle('hidden', !open);
+    buttonEl.setAttribute('aria-expanded', String(open));
+}
+
+/**
+ * Run an export
+ * @param {string} format - 'csv' | 'gpx' | 'print'
+ */
+function handleExport(format) {
+    const state = getState();
+    if (!state.route || state.filteredBirds.length === 0) return;
+
+    const baseName = `birdride-${toFileNamePart(state.route.name)}`;
+    if (format === 'csv') {
+        downloadFile(`${baseName}-birds.csv`, formatBirdListCsv(state.filteredBirds), 'text/csv');
+    } else if (format === 'gpx') {
+        downloadFile(
+            `${baseName}.gpx`,
+            formatRouteGpx(state.route, state.routeGeoJSON, state.filteredBirds),
+            'application/gpx+xml'
+        );
+    } else if (format === 'print') {
+        printFieldCard(state);
+    }
+}
+
+/**
+ * Render the field card and open the print dialog once its photos are in
+ * @param {object} state - Current state
+ */
+async function printFieldCard(state) {
+    const birds = state.filteredBirds;
+    buttonEl.disabled = true;
+
+    try {
+        const photos = await loadThumbnails(birds);
+
+        fieldCardEl.innerHTML = `
+            <header class="field-card-header">
+                <h1 class="field-card-title">${escapeHtml(state.route.name)}</h1>
+                <p class="field-card-summary">${escapeHtml(describeFilters(state))}</p>
+            </header>
+            <ol class="field-card-list">
+                ${birds.map(bird => createFieldCardItem(bird, photos.has(bird.speciesCode))).join('')}
+            </ol>
+        `;
+
+        // Photo URLs are set as properties rather than written into the markup
+        fieldCardEl.querySelectorAll('img[data-species-code]').forEach(img => {
+            img.src = photos.get(img.dataset.speciesCode);
+        });
+
+        // Wait for the thumbnails to decode so they make it onto the page
+        await Promise.all(Array.from(fieldCardEl.querySelectorAll('img'), img => img.decode().catch(() => {})));
+
+        document.body.classList.add('printing-field-card');
+        window.print();
+    } finally {
+        buttonEl.disabled = birds.length === 0;
+    }
+}
+
+/**
+ * Create one species entry on the field card
+ * @param {object} bird - Filtered bird
+ * @param {boolean} hasPhoto - True if a photo was found (its URL is set after rendering)
+ * @returns {string} HTML
+ */
+function createFieldCardItem(bird, hasPhoto) {
+    const details = [getRarityLabel(bird)];
+    if (bird.routeMile != null) {
+        details.push(`Mile ${bird.routeMile.toFixed(1)}`);
+    }
+    details.push(`last seen ${formatObservationDate(getLatestSighting(bird).obsDt)}`);
+    if (bird.lifeListStatus === 'target') {
+        details.push('Target');
+    }
+
+    return `
+        <li class="field-card-item ${bird.rarity || 'common'}">
+            ${hasPhoto
+                ? `<img class="field-card-photo" data-species-code="${escapeHtml(bird.speciesCode)}" alt="">`
+                : '<span class="field-card-photo"></span>'}
+            <div class="field-card-info">
+                <span class="field-card-name">${escapeHtml(bird.comName)}</span>
+                <span class="field-card-scientific">${escapeHtml(bird.sciName || '')}</span>
+                <span class="field-card-details">${escapeHtml(details.join(' · '))}</span>
+            </div>
+            <span class="field-card-check" aria-hidden="true"></span>
+        </li>
+    `;
+}
+
+/**
+ * Fetch photo thumbnails for the birds, a few at a time
+ * @param {array} birds - Filtered birds
+ * @returns {Promise<Map>} speciesCode -> thumbnail URL
+ */
+async function loadThumbnails(birds) {
+    const BATCH_SIZE = 6;
+    const thumbnails = new Map();
+    for (let i = 0; i < birds.length; i += BATCH_SIZE) {
+        const batch = birds.slice(i, i + BATCH_SIZE);
+        await Promise.all(batch.map(async (bird) => {
+            try {
+                const photoData = await fetchBirdPhoto(bird.speciesCode, bird.comName);
+                // The placeholder for species without a photo is a data: URL; show the card's empty frame instead
+                if (photoData && photoData.thumbnail && !photoData.thumbnail.startsWith('data:')) {
+                    thumbnails.set(bird.speciesCode, photoData.thumbnail);
+                }
+            } catch (error) { /* print without the photo */ }
+        }));
+    }
+    return thumbnails;
+}
+
+/**
+ * Describe the list on the card: species count, time period, corridor and filters
+ * @param {object} state - Current state
+ * @returns {string} e.g. "32 species reported in the last 14 days within 0.5 mi of the route · Notable only"
+ */
+function describeFilters(state) {
+    const count = state.filteredBirds.length;
+    const period = state.season
+        ? `in ${formatSeason(state.season)} of past years`
+        : state.anchorDate
+            ? `in the ${state.timeWindow} days around ${formatRideDate(state.anchorDate)}`
+            : `in the last ${state.timeWindow} days`;
+
+    const parts = [`${count} species reported ${period} within ${state.distanceFilter} mi of the route`];
+    if (state.rarityFilter === 'notable') {
+        parts.push('Notable only');
+    } else if (state.rarityFilter === 'targets') {
+        parts.push('Life list targets only');
+    }
+    if (state.speciesFilter) {
+        parts.push(`Matching "${state.speciesFilter.label}"`);
+    }
+    parts.push(`Printed ${new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -1,43 +1,120 @@
 /**
  * BirdRide - Filter Controls Component
- * Handles time window, distance, and rarity filtering
+ * Handles time window, anchor date, season planning, distance, rarity, life list target
+ * and species filtering, and list sort order
  */
 
 import { getState, setState, subscribe, applyFilters } from '../utils/state.js';
-import { fetchRecentBirds } from '../services/birdService.js';
+import { streamRecentBirds, streamSeasonBirds, sampleRouteForBirds, fetchHotspots } from '../services/birdService.js';
+import { getPreference, setPreference } from '../services/preferences.js';
+import { BIRD_GROUPS, isInGroup } from '../utils/birdGroups.js';
+import { getSeasonOptions, getSeasonDates, parseSeason } from '../utils/season.js';
+
+// Corridor width used until the user picks one (miles)
+const DEFAULT_DISTANCE_FILTER = 0.25;
 
 // UI Elements
+let timeSelectorEl;
 let timeWindowSelect;
+let timeWindowLabel;
+let dateSelectorEl;
+let anchorDateInput;
+let clearAnchorDateBtn;
+let seasonSelect;
 let distanceFilterSelect;
 let distanceFilterContainer;
 let filterNotableBtn;
+let filterTargetsBtn;
 let filterAllBtn;
 let rarityFilterContainer;
+let sortOrderSelect;
+let speciesFilterInput;
+let speciesFilterClearBtn;
+let speciesFilterDropdown;
+let groupByFamilyCheckbox;
 let mapLoadingEl;
+let mapLoadingTextEl;
+let mapLoadingProgressEl;
+
+// Cancels the in-flight bird request when a newer one starts
+let birdRequestController = null;
+
+// Sampling the current hotspots were fetched for
+let hotspotSampling = null;
+
+// Species filter type-ahead suggestions and the highlighted one
+const MAX_SPECIES_SUGGESTIONS = 10;
+let speciesSuggestions = [];
+let activeSuggestionIndex = -1;
 
 /**
  * Initialize filter controls
  */
 export function initFilterControls() {
     // Get DOM elements
+    timeSelectorEl = document.getElementById('time-selector');
     timeWindowSelect = document.getElementById('time-window');
+    timeWindowLabel = document.getElementById('time-window-label');
+    dateSelectorEl = document.getElementById('date-selector');
+    anchorDateInput = document.getElementById('anchor-date');
+    clearAnchorDateBtn = document.getElementById('clear-anchor-date');
+    seasonSelect = document.getElementById('season');
     distanceFilterSelect = document.getElementById('distance-filter');
     distanceFilterContainer = document.getElementById('distance-filter-container');
     filterNotableBtn = document.getElementById('filter-notable');
+    filterTargetsBtn = document.getElementById('filter-targets');
     filterAllBtn = document.getElementById('filter-all');
     rarityFilterContainer = document.getElementById('rarity-filter-container');
+    sortOrderSelect = document.getElementById('sort-order');
+    speciesFilterInput = document.getElementById('species-filter-input');
+    speciesFilterClearBtn = document.getElementById('species-filter-clear');
+    speciesFilterDropdown = document.getElementById('species-filter-dropdown');
+    groupByFamilyCheckbox = document.getElementById('group-by-family');
     mapLoadingEl = document.getElementById('map-loading');
+    mapLoadingTextEl = document.getElementById('map-loading-text');
+    mapLoadingProgressEl = document.getElementById('map-loading-progress');
 
     // Bind select handlers
     timeWindowSelect.addEventListener('change', handleTimeWindowChange);
+    anchorDateInput.addEventListener('change', handleAnchorDateChange);
+    clearAnchorDateBtn.addEventListener('click', handleClearAnchorDate);
+    seasonSelect.addEventListener('change', handleSeasonChange);
     distanceFilterSelect.addEventListener('change', handleDistanceFilterChange);
+    sortOrderSelect.addEventListener('change', handleSortOrderChange);
+    groupByFamilyCheckbox.addEventListener('change', handleGroupByFamilyChange);
+
+    // Bind species filter handlers
+    speciesFilterInput.addEventListener('input', handleSpeciesFilterInput);
+    speciesFilterInput.addEventListener('focus', handleSpeciesFilterInput);
+    speciesFilterInput.addEventListener('keydown', handleSpeciesFilterKeyDown);
+    speciesFilterClearBtn.addEventListener('click', clearSpeciesFilter);
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.species-filter')) {
+            hideSpeciesSuggestions();
+        }
+    });
 
     // Bind rarity filter handlers
     filterNotableBtn.addEventListener('click', () => setRarityFilter('notable'));
+    filterTargetsBtn.addEventListener('click', () => setRarityFilter('targets'));
     filterAllBtn.addEventListener('click', () => setRarityFilter('all'));
 
     // Subscribe to state changes to update UI
     subscribe('rarityFilter', updateFilterUI);
+    subscribe('lifeList', updateTargetsFilter);
+    subscribe('sortOrder', order => { sortOrderSelect.value = order; });
+    subscribe('anchorDate', updateAnchorDateUI);
+    subscribe('season', updateSeasonUI);
+    subscribe('showHotspots', handleShowHotspotsChange);
+
+    // Sightings can't come from the future
+    anchorDateInput.max = getTodayString();
+
+    renderSeasonOptions();
+
+    // Restore the corridor width and hotspot layer from the last visit
+    setDistanceFilterUI(getSavedDistanceFilter());
+    setState({ showHotspots: getPreference('showHotspots', false) });
 }
 
 /**
@@ -49,12 +126,102 @@ async function handleTimeWindowChange(e) {
     await loadBirdData();
 }
 
+/**
+ * Handle anchor date change
+ */
+async function handleAnchorDateChange(e) {
+    setState({ anchorDate: e.target.value || null });
+    await loadBirdData();
+}
+
+/**
+ * Handle clearing the anchor date (back to recent sightings)
+ */
+async function handleClearAnchorDate() {
+    setState({ anchorDate: null });
+    await loadBirdData();
+}
+
+/**
+ * Set the anchor date without reloading bird data
+ * Used when a route is loaded with a known ride date (e.g. a recorded trip)
+ * @param {string|null} date - 'YYYY-MM-DD' or null for recent sightings
+ */
+export function setAnchorDate(date) {
+    setState({ anchorDate: date, season: null });
+}
+
+/**
+ * Handle choosing a season to plan for (or going back to dated sightings)
+ * A season replaces the time window and anchor date
+ */
+async function handleSeasonChange(e) {
+    setState({ season: e.target.value || null, anchorDate: null });
+    await loadBirdData();
+}
+
+/**
+ * Fill the season select with each month and its weeks
+ */
+function renderSeasonOptions() {
+    const groups = getSeasonOptions().map(group => `
+        <optgroup label="${group.label}">
+            ${group.seasons.map(season => `<option value="${season.value}">${season.label}</option>`).join('')}
+        </optgroup>
+    `).join('');
+    seasonSelect.insertAdjacentHTML('beforeend', groups);
+}
+
 /**
  * Handle distance filter change
+ * The distance filter is the corridor width, which sets the eBird search radius
+ * and sample spacing; narrowing it only filters the sightings already loaded
  */
-function handleDistanceFilterChange(e) {
+async function handleDistanceFilterChange(e) {
     const distance = parseFloat(e.target.value);
     setState({ distanceFilter: distance });
+    setPreference('distanceFilter', distance);
+
+    const coverage = getState('searchCoverage');
+    if (coverage && distance <= coverage.corridorMiles) {
+        applyFilters();
+    } else {
+        await loadBirdData();
+    }
+}
+
+/**
+ * Get the saved corridor width, falling back to the default if it's not an option
+ * @returns {number} Distance filter in miles
+ */
+function getSavedDistanceFilter() {
+    const saved = getPreference('distanceFilter', DEFAULT_DISTANCE_FILTER);
+    const isOption = Array.from(distanceFilterSelect.options).some(option => parseFloat(option.value) === saved);
+    return isOption ? saved : DEFAULT_DISTANCE_FILTER;
+}
+
+/**
+ * Set the distance filter state and select value
+ * @param {number} distance - Distance filter in miles
+ */
+function setDistanceFilterUI(distance) {
+    setState({ distanceFilter: distance });
+    distanceFilterSelect.value = String(distance);
+}
+
+/**
+ * Handle sort order change
+ */
+function handleSortOrderChange(e) {
+    setState({ sortOrder: e.target.value });
+    applyFilters();
+}
+
+/**
+ * Handle family grouping toggle
+ */
+function handleGroupByFamilyChange(e) {
+    setState({ groupByFamily: e.target.checked });
     applyFilters();
 }
 
@@ -66,6 +233,188 @@ function setRarityFilter(filter) {
     applyFilters();
 }
 
+/**
+ * Handle typing in the species filter: update suggestions, and clear the
+ * filter when the input is emptied
+ */
+function handleSpeciesFilterInput() {
+    const query = speciesFilterInput.value.trim();
+    speciesFilterClearBtn.classList.toggle('hidden', !query);
+
+    if (!query && getState('speciesFilter')) {
+        setState({ speciesFilter: null });
+        applyFilters();
+    }
+
+    speciesSuggestions = getSpeciesSuggestions(query);
+    activeSuggestionIndex = -1;
+    renderSpeciesSuggestions();
+}
+
+/**
+ * Handle keyboard navigation in the species filter
+ */
+function handleSpeciesFilterKeyDown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (speciesSuggestions.length === 0) return;
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        activeSuggestionIndex = (activeSuggestionIndex + step + speciesSuggestions.length) % speciesSuggestions.length;
+        renderSpeciesSuggestions();
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        const query = speciesFilterInput.value.trim();
+        if (activeSuggestionIndex >= 0) {
+            setSpeciesFilter(speciesSuggestions[activeSuggestionIndex].filter);
+        } else if (query) {
+            // No suggestion chosen: match the text against names
+            setSpeciesFilter({ type: 'text', value: query, label: query });
+        }
+    } else if (e.key === 'Escape') {
+        hideSpeciesSuggestions();
+        speciesFilterInput.blur();
+    }
+}
+
+/**
+ * Build type-ahead suggestions from bird groups and the loaded results
+ * Groups come first, then families, then species, each with the number of
+ * species on the route it would show
+ * @param {string} query - Text typed so far (empty shows the groups present)
+ * @returns {array} Suggestions: { filter, title, subtitle }
+ */
+function getSpeciesSuggestions(query) {
+    const birds = getState('birds');
+    const text = query.toLowerCase();
+    const suggestions = [];
+
+    for (const group of BIRD_GROUPS) {
+        const matchesQuery = containsText([group.label, ...group.keywords], text);
+        if (!matchesQuery) continue;
+
+        const count = birds.filter(bird => isInGroup(bird, group)).length;
+        // With no query, only list groups that are actually on the route
+        if (!text && count === 0) continue;
+
+        suggestions.push({
+            filter: { type: 'group', value: group.id, label: group.label },
+            title: group.label,
+            subtitle: `Group · ${formatSpeciesCount(count)}`
+        });
+    }
+
+    if (text) {
+        const families = new Map();
+        for (const bird of birds) {
+            if (!bird.familyCode || !containsText([bird.familyComName, bird.familySciName], text)) continue;
+            const family = families.get(bird.familyCode) || { bird, count: 0 };
+            family.count++;
+            families.set(bird.familyCode, family);
+        }
+        for (const [familyCode, { bird, count }] of families) {
+            suggestions.push({
+                filter: { type: 'family', value: familyCode, label: bird.familyComName },
+                title: bird.familyComName,
+                subtitle: `Family · ${bird.familySciName} · ${formatSpeciesCount(count)}`
+            });
+        }
+
+        for (const bird of birds) {
+            if (!containsText([bird.comName, bird.sciName], text)) continue;
+            suggestions.push({
+                filter: { type: 'species', value: bird.speciesCode, label: bird.comName },
+                title: bird.comName,
+                subtitle: `Species${bird.sciName ? ` · ${bird.sciName}` : ''}`
+            });
+        }
+    }
+
+    return suggestions.slice(0, MAX_SPECIES_SUGGESTIONS);
+}
+
+/**
+ * Check whether any of several names contains lowercase text
+ */
+function containsText(names, text) {
+    return names.some(name => name && name.toLowerCase().includes(text));
+}
+
+/**
+ * Format "N species on route"
+ */
+function formatSpeciesCount(count) {
+    return `${count} species on route`;
+}
+
+/**
+ * Render the species filter suggestions dropdown
+ */
+function renderSpeciesSuggestions() {
+    if (speciesSuggestions.length === 0) {
+        hideSpeciesSuggestions();
+        return;
+    }
+
+    speciesFilterDropdown.innerHTML = speciesSuggestions.map((suggestion, index) => `
+        <div class="dropdown-item ${index === activeSuggestionIndex ? 'active' : ''}" data-index="${index}">
+            <div class="dropdown-item-content">
+                <div class="dropdown-item-title">${escapeHtml(suggestion.title)}</div>
+                <div class="dropdown-item-subtitle">${escapeHtml(suggestion.subtitle)}</div>
+            </div>
+        </div>
+    `).join('');
+
+    speciesFilterDropdown.querySelectorAll('.dropdown-item').forEach(item => {
+        item.addEventListener('click', () => {
+            setSpeciesFilter(speciesSuggestions[parseInt(item.dataset.index, 10)].filter);
+        });
+    });
+
+    speciesFilterDropdown.classList.remove('hidden');
+}
+
+/**
+ * Hide the species filter suggestions dropdown
+ */
+function hideSpeciesSuggestions() {
+    speciesFilterDropdown.classList.add('hidden');
+    activeSuggestionIndex = -1;
+}
+
+/**
+ * Apply a species, family or group filter
+ * @param {object} filter - { type, value, label }
+ */
+function setSpeciesFilter(filter) {
+    speciesFilterInput.value = filter.label;
+    speciesFilterClearBtn.classList.remove('hidden');
+    hideSpeciesSuggestions();
+    setState({ speciesFilter: filter });
+    applyFilters();
+}
+
+/**
+ * Clear the species filter
+ */
+function clearSpeciesFilter() {
+    speciesFilterInput.value = '';
+    speciesFilterClearBtn.classList.add('hidden');
+    hideSpeciesSuggestions();
+    if (getState('speciesFilter')) {
+        setState({ speciesFilter: null });
+        applyFilters();
+    }
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 /**
  * Load bird data based on current settings
  */
@@ -78,11 +427,34 @@ export async function loadBirdData() {
         return;
     }
 
+    // Cancel any request still streaming for previous settings
+    if (birdRequestController) {
+        birdRequestController.abort();
+    }
+    const controller = new AbortController();
+    birdRequestController = controller;
+
     // Show loading indicator
     showLoading();
 
     try {
-        const birds = await fetchRecentBirds(coordinates, state.timeWindow);
+        const sampling = sampleRouteForBirds(coordinates, state.distanceFilter);
+        setState({ searchCoverage: sampling });
+
+        // Hotspots also rank the birding stops, so load them even when their layer is hidden
+        loadHotspotData();
+
+        // Render species as each part of the route is searched
+        // (previous results stay up until the first part arrives)
+        const onProgress = ({ birds, completed, total }) => {
+            if (completed === 0) return;
+            updateLoadingProgress(completed, total);
+            setState({ birds });
+            applyFilters();
+        };
+        const birds = state.season
+            ? await streamSeasonBirds(sampling, getSeasonDates(state.season), onProgress, controller.signal)
+            : await streamRecentBirds(sampling, state.timeWindow, state.anchorDate, onProgress, controller.signal);
 
         // Update state with bird data
         setState({ birds });
@@ -91,10 +463,58 @@ export async function loadBirdData() {
         applyFilters();
 
     } catch (error) {
+        if (error.name === 'AbortError') return;
         console.error('Error loading bird data:', error);
-        setState({ birds: [], filteredBirds: [] });
+        setState({ birds: [], filteredBirds: [], birdingStops: [] });
     } finally {
-        hideLoading();
+        if (birdRequestController === controller) {
+            birdRequestController = null;
+            hideLoading();
+        }
+    }
+}
+
+/**
+ * Load eBird hotspots around the current search's sample points
+ * Hotspots don't depend on the time window, so they're only fetched again
+ * when the sample points or radius change
+ */
+async function loadHotspotData() {
+    const sampling = getState('searchCoverage');
+    if (!sampling || isSameSampling(sampling, hotspotSampling)) return;
+    hotspotSampling = sampling;
+
+    try {
+        const allHotspots = await fetchHotspots(sampling);
+        if (hotspotSampling !== sampling) return;  // A newer search started
+        setState({ allHotspots });
+        applyFilters();
+    } catch (error) {
+        console.warn('Failed to load hotspots:', error);
+        if (hotspotSampling === sampling) {
+            hotspotSampling = null;  // Retry on the next search
+        }
+    }
+}
+
+/**
+ * Check whether two samplings query the same points and radius
+ */
+function isSameSampling(a, b) {
+    return !!a && !!b &&
+        a.radiusKm === b.radiusKm &&
+        a.points.length === b.points.length &&
+        a.points.every(([lat, lng], i) => lat === b.points[i][0] && lng === b.points[i][1]);
+}
+
+/**
+ * Handle the hotspot layer being turned on or off
+ * @param {boolean} show - True if the layer is shown
+ */
+function handleShowHotspotsChange(show) {
+    setPreference('showHotspots', show);
+    if (show) {
+        loadHotspotData();
     }
 }
 
@@ -102,22 +522,75 @@ export async function loadBirdData() {
  * Update rarity filter button UI
  */
 function updateFilterUI(filter) {
-    if (filter === 'notable') {
-        filterNotableBtn.classList.add('active');
-        filterAllBtn.classList.remove('active');
-    } else {
-        filterNotableBtn.classList.remove('active');
-        filterAllBtn.classList.add('active');
+    filterNotableBtn.classList.toggle('active', filter === 'notable');
+    filterTargetsBtn.classList.toggle('active', filter === 'targets');
+    filterAllBtn.classList.toggle('active', filter !== 'notable' && filter !== 'targets');
+}
+
+/**
+ * Offer the Targets filter only while a life list is imported
+ * @param {object|null} lifeList - Imported life list
+ */
+function updateTargetsFilter(lifeList) {
+    filterTargetsBtn.classList.toggle('hidden', !lifeList);
+    if (!lifeList && getState('rarityFilter') === 'targets') {
+        setRarityFilter('all');
     }
 }
 
+/**
+ * Update anchor date input and time window label
+ */
+function updateAnchorDateUI(date) {
+    anchorDateInput.value = date || '';
+    clearAnchorDateBtn.classList.toggle('hidden', !date);
+    timeWindowLabel.textContent = date ? '' : 'Last ';
+}
+
+/**
+ * Update the season select, hiding the time window and anchor date while planning
+ */
+function updateSeasonUI(season) {
+    seasonSelect.value = season || '';
+    timeSelectorEl.classList.toggle('hidden', !!season);
+    dateSelectorEl.classList.toggle('hidden', !!season);
+}
+
+/**
+ * Get today's date as YYYY-MM-DD in local time
+ */
+function getTodayString() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
 /**
  * Show loading indicator on map
  */
 function showLoading() {
+    mapLoadingTextEl.textContent = 'Loading bird data...';
+    mapLoadingProgressEl.style.width = '0%';
+    mapLoadingEl.classList.remove('partial');
     mapLoadingEl.classList.remove('hidden');
 }
 
+/**
+ * Show how much of the route has been searched
+ * Once results start arriving the indicator shrinks so the map stays visible
+ * @param {number} completed - Finished parts of the search
+ * @param {number} total - Total parts of the search
+ */
+function updateLoadingProgress(completed, total) {
+    if (!total) return;
+
+    const percent = Math.round((completed / total) * 100);
+    mapLoadingTextEl.textContent = `Searched ${percent}% of route...`;
+    mapLoadingProgressEl.style.width = `${percent}%`;
+    mapLoadingEl.classList.add('partial');
+}
+
 /**
  * Hide loading indicator
  */
@@ -126,16 +599,73 @@ function hideLoading() {
 }
 
 /**
- * Reset filters to defaults
+ * Set the filters from a shared link without reloading bird data
+ * Values the controls don't offer are ignored. The corridor width isn't saved
+ * as a preference, so opening someone else's link doesn't change it.
+ * @param {object} view - Filters read from the link (see parseViewQuery)
+ */
+export function setViewFilters(view) {
+    if (hasOption(timeWindowSelect, view.timeWindow)) {
+        setState({ timeWindow: view.timeWindow });
+        timeWindowSelect.value = String(view.timeWindow);
+    }
+
+    if (parseSeason(view.season)) {
+        setState({ season: view.season, anchorDate: null });
+    } else if (view.anchorDate === null) {
+        setAnchorDate(null);
+    } else if (view.anchorDate && view.anchorDate <= getTodayString()) {
+        setAnchorDate(view.anchorDate);
+    }
+
+    if (hasOption(distanceFilterSelect, view.distanceFilter)) {
+        setDistanceFilterUI(view.distanceFilter);
+    }
+
+    // Targets need the viewer's own life list
+    if (view.rarityFilter === 'notable' || (view.rarityFilter === 'targets' && getState('lifeList'))) {
+        setState({ rarityFilter: view.rarityFilter });
+    }
+
+    const filter = view.speciesFilter;
+    if (filter) {
+        const group = filter.type === 'group' ? BIRD_GROUPS.find(g => g.id === filter.value) : null;
+        if (filter.type !== 'group' || group) {
+            const label = group ? group.label : filter.label;
+            speciesFilterInput.value = label;
+            speciesFilterClearBtn.classList.remove('hidden');
+            setState({ speciesFilter: { ...filter, label } });
+        }
+    }
+}
+
+/**
+ * Check whether a select offers a numeric value
+ */
+function hasOption(select, value) {
+    return value != null && Array.from(select.options).some(option => parseFloat(option.value) === value);
+}
+
+/**
+ * Reset filters to defaults (the corridor width is a saved preference and is kept)
  */
 export function resetFilters() {
     setState({
         timeWindow: 14,
-        distanceFilter: 0.25,
+        anchorDate: null,
+        season: null,
         rarityFilter: 'all',
+        speciesFilter: null,
     });
 
     // Reset UI
     timeWindowSelect.value = '14';
-    distanceFilterSelect.value = '0.25';
+    speciesFilterInput.value = '';
+    speciesFilterClearBtn.classList.add('hidden');
+    updateAnchorDateUI(null);
+    updateSeasonUI(null);
+    setDistanceFilterUI(getSavedDistanceFilter());
+
+    // Hotspots were cleared with the rest of the route state
+    hotspotSampling = null;
 }
@@ -0,0 +1,144 @@
+/**
+ * BirdRide - Hotspot Panel Component
+ * Shows an eBird hotspot selected on the map, with its recent observations
+ */
+
+import { getState, setState, subscribe } from '../utils/state.js';
+import { fetchHotspotObservations, formatObservationDate, getLocationDescription } from '../services/birdService.js';
+
+// eBird only serves recent observations for the last 30 days
+const MAX_OBSERVATION_DAYS = 30;
+
+// UI Elements
+let panelEl;
+let closeBtn;
+let nameEl;
+let positionEl;
+let speciesCountEl;
+let lastVisitEl;
+let observationsHeaderEl;
+let observationsEl;
+let linkEl;
+
+// Hotspot whose observations are being loaded (ignores responses for earlier picks)
+let loadingLocId = null;
+
+/**
+ * Initialize the hotspot panel component
+ */
+export function initHotspotPanel() {
+    // Get DOM elements
+    panelEl = document.getElementById('hotspot-panel');
+    closeBtn = document.getElementById('close-hotspot');
+    nameEl = document.getElementById('hotspot-name');
+    positionEl = document.getElementById('hotspot-position');
+    speciesCountEl = document.getElementById('hotspot-species-count');
+    lastVisitEl = document.getElementById('hotspot-last-visit');
+    observationsHeaderEl = document.getElementById('hotspot-observations-header');
+    observationsEl = document.getElementById('hotspot-observations');
+    linkEl = document.getElementById('hotspot-link');
+
+    // Bind close button
+    closeBtn.addEventListener('click', () => setState({ selectedHotspot: null }));
+
+    // Close on escape key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && panelEl.classList.contains('visible')) {
+            setState({ selectedHotspot: null });
+        }
+    });
+
+    // Subscribe to selected hotspot changes
+    subscribe('selectedHotspot', showHotspot);
+}
+
+/**
+ * Show the panel for a hotspot, or hide it
+ * @param {object|null} hotspot - Selected hotspot
+ */
+function showHotspot(hotspot) {
+    if (!hotspot) {
+        loadingLocId = null;
+        panelEl.classList.remove('visible');
+        panelEl.classList.add('hidden');
+        return;
+    }
+
+    nameEl.textContent = hotspot.locName;
+
+    const position = [getLocationDescription(hotspot, getState('routeGeoJSON'))];
+    if (hotspot.distanceFromRoute >= 0.1) {
+        position.push(`${hotspot.distanceFromRoute.toFixed(1)} mi off route`);
+    }
+    positionEl.textContent = position.join(' · ');
+
+    speciesCountEl.textContent = `${hotspot.numSpeciesAllTime.toLocaleString()} species reported all time`;
+    lastVisitEl.textContent = hotspot.latestObsDt
+        ? `Last checklist ${formatObservationDate(hotspot.latestObsDt)}`
+        : 'No checklists yet';
+    linkEl.href = `https://ebird.org/hotspot/${encodeURIComponent(hotspot.locId)}`;
+
+    panelEl.classList.remove('hidden');
+    panelEl.classList.add('visible');
+
+    loadObservations(hotspot.locId);
+}
+
+/**
+ * Load and render recent observations at a hotspot
+ * @param {string} locId - eBird hotspot ID
+ */
+async function loadObservations(locId) {
+    const days = Math.min(getState('timeWindow'), MAX_OBSERVATION_DAYS);
+    loadingLocId = locId;
+
+    observationsHeaderEl.textContent = `Recent observations (last ${days} days)`;
+    observationsEl.innerHTML = '<p class="hotspot-observations-status">Loading...</p>';
+
+    try {
+        const observations = await fetchHotspotObservations(locId, days);
+        if (loadingLocId !== locId) return;
+        renderObservations(observations);
+    } catch (error) {
+        if (loadingLocId !== locId) return;
+        console.warn('Failed to load hotspot observations:', error);
+        observationsEl.innerHTML = '<p class="hotspot-observations-status">Couldn\'t load observations from eBird.</p>';
+    }
+}
+
+/**
+ * Render the observation list
+ * @param {array} observations - Latest observation of each species, most recent first
+ */
+function renderObservations(observations) {
+    if (observations.length === 0) {
+        observationsEl.innerHTML = '<p class="hotspot-observations-status">No species reported in this period.</p>';
+        return;
+    }
+
+    observationsEl.innerHTML = observations.map(obs => `
+        <div class="sighting-row hotspot-observation ${obs.obsReviewed ? 'notable' : ''}">
+            <div class="sighting-info">
+                <span class="hotspot-observation-name">${escapeHtml(obs.comName)}</span>
+                <span class="sighting-location">${formatObservationDate(obs.obsDt)}</span>
+            </div>
+            ${obs.howMany > 1 ? `<span class="sighting-count">×${obs.howMany}</span>` : ''}
+            ${obs.subId ? `
+                <a class="sighting-link" href="https://ebird.org/checklist/${escapeHtml(obs.subId)}" target="_blank" rel="noopener" title="View checklist on eBird">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M18 13v6a2 2 0 01-2 2H5a2 2 0 01-2-2V8a2 2 0 012-2h6M15 3h6v6M10 14L21 3"></path>
+                    </svg>
+                </a>
+            ` : ''}
+        </div>
+    `).join('');
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,81 @@
+/**
+ * BirdRide - Life List Controls Component
+ * Imports and removes the user's eBird life list, shown above the bird list
+ */
+
+import { getState, setState, subscribe, applyFilters } from '../utils/state.js';
+import { importLifeList, loadLifeList, clearLifeList } from '../services/lifeList.js';
+
+// UI Elements
+let statusEl;
+let importBtn;
+let removeBtn;
+let fileInput;
+
+/**
+ * Initialize the life list controls and restore a previously imported list
+ */
+export function initLifeListControls() {
+    statusEl = document.getElementById('life-list-status');
+    importBtn = document.getElementById('life-list-import');
+    removeBtn = document.getElementById('life-list-remove');
+    fileInput = document.getElementById('life-list-file-input');
+
+    importBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', handleFileSelect);
+    removeBtn.addEventListener('click', handleRemove);
+
+    subscribe('lifeList', renderStatus);
+    subscribe('filteredBirds', () => renderStatus(getState('lifeList')));
+
+    setState({ lifeList: loadLifeList() });
+}
+
+/**
+ * Handle a life list file being chosen
+ */
+async function handleFileSelect() {
+    const file = fileInput.files[0];
+    // Reset so choosing the same file again still fires 'change'
+    fileInput.value = '';
+    if (!file) return;
+
+    try {
+        setState({ lifeList: await importLifeList(file) });
+        applyFilters();
+    } catch (error) {
+        console.error('Error importing life list:', error);
+        statusEl.textContent = `Couldn't read that file. ${error.message}`;
+        statusEl.classList.add('error');
+    }
+}
+
+/**
+ * Handle removing the life list
+ */
+function handleRemove() {
+    clearLifeList();
+    setState({ lifeList: null });
+    applyFilters();
+}
+
+/**
+ * Show the imported list's size and how many targets the bird list shows
+ * @param {object|null} lifeList - Imported life list
+ */
+function renderStatus(lifeList) {
+    statusEl.classList.remove('error');
+    importBtn.textContent = lifeList ? 'Replace' : 'Import CSV';
+    removeBtn.classList.toggle('hidden', !lifeList);
+
+    if (!lifeList) {
+        statusEl.textContent = 'Import your eBird life list to find targets';
+        statusEl.title = '';
+        return;
+    }
+
+    const targets = getState('filteredBirds').filter(bird => bird.lifeListStatus === 'target').length;
+    statusEl.textContent = `Life list: ${lifeList.count.toLocaleString()} species · ` +
+        `${targets} ${targets === 1 ? 'target' : 'targets'} listed`;
+    statusEl.title = `Imported ${new Date(lifeList.importedAt).toLocaleDateString()} from ${lifeList.fileName}`;
+}
@@ -5,7 +5,7 @@
 
 import { getState, setState, subscribe } from '../utils/state.js';
 import { extractRouteCoordinates } from '../services/routeService.js';
-import { fetchBirdPhoto } from '../services/birdService.js';
+import { fetchBirdPhoto, formatObservationDate } from '../services/birdService.js';
 
 // Map instance
 let map = null;
@@ -34,6 +34,17 @@ const markersByBirdId = new Map();
 // Temporary marker for alternate sighting locations
 let sightingMarker = null;
 
+// Route position under the elevation profile cursor
+let routeHoverMarker = null;
+
+// Birding stop markers (not clustered), by stop ID
+let stopMarkersLayer = null;
+const stopMarkersById = new Map();
+
+// eBird hotspot markers, on the map only while the layer is toggled on
+let hotspotLayer = null;
+let hotspotToggleButton = null;
+
 // Placeholder image for bird markers (base64 encoded SVG)
 const MARKER_PLACEHOLDER = 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAxMDAgMTAwIj48cmVjdCBmaWxsPSIjZjNmNGY2IiB3aWR0aD0iMTAwIiBoZWlnaHQ9IjEwMCIvPjx0ZXh0IHk9Ii42NWVtIiBmb250LXNpemU9IjUwIiB4PSIyNSI+8J+QpjwvdGV4dD48L3N2Zz4=';
 
@@ -123,6 +134,7 @@ function openClusterPopover(childMarkers, latLng) {
             <div class="cluster-popover-item" data-bird-index="${bird.index}">
                 <img src="${photoUrl}" alt="" class="cluster-popover-thumb">
                 <span class="cluster-popover-name">${bird.comName}</span>
+                ${bird.lifeListStatus === 'target' ? '<span class="life-list-badge target">Target</span>' : ''}
                 <span class="rarity-dot ${rarityClass}"></span>
             </div>
         `;
@@ -201,6 +213,32 @@ export function initMap() {
     });
     map.addControl(new FitToRouteControl());
 
+    // Add hotspot layer toggle control
+    const HotspotToggleControl = L.Control.extend({
+        options: { position: 'topleft' },
+        onAdd: function() {
+            const container = L.DomUtil.create('div', 'leaflet-bar leaflet-control hotspot-toggle-control');
+            hotspotToggleButton = L.DomUtil.create('a', 'hotspot-toggle-button', container);
+            hotspotToggleButton.href = '#';
+            hotspotToggleButton.title = 'Show eBird hotspots';
+            hotspotToggleButton.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M12 21s-7-6.5-7-12a7 7 0 1114 0c0 5.5-7 12-7 12z"></path>
+                    <circle cx="12" cy="9" r="2.5"></circle>
+                </svg>
+            `;
+            hotspotToggleButton.setAttribute('role', 'button');
+            hotspotToggleButton.setAttribute('aria-pressed', 'false');
+            L.DomEvent.on(hotspotToggleButton, 'click', function(e) {
+                L.DomEvent.preventDefault(e);
+                L.DomEvent.stopPropagation(e);
+                setState({ showHotspots: !getState('showHotspots') });
+            });
+            return container;
+        }
+    });
+    map.addControl(new HotspotToggleControl());
+
     // Create marker cluster group for birds
     birdMarkersLayer = L.markerClusterGroup({
         maxClusterRadius: 50,
@@ -211,6 +249,13 @@ export function initMap() {
     });
     map.addLayer(birdMarkersLayer);
 
+    // Birding stops sit above bird markers and clusters
+    map.createPane('stopsPane');
+    map.getPane('stopsPane').style.zIndex = 620;
+    stopMarkersLayer = L.layerGroup().addTo(map);
+
+    hotspotLayer = L.layerGroup();
+
     // Initialize cluster popover
     initClusterPopover();
 
@@ -247,9 +292,23 @@ export function initMap() {
         }
     });
 
+    // Keep the viewport in state for shareable links
+    map.on('moveend', function () {
+        const center = map.getCenter();
+        setState({ mapView: { lat: center.lat, lng: center.lng, zoom: map.getZoom() } });
+    });
+
     // Subscribe to state changes
     subscribe('filteredBirds', updateBirdMarkers);
     subscribe('selectedBird', highlightSelectedBird);
+    subscribe('hoveredBird', highlightHoveredBird);
+    subscribe('routeHoverPoint', showRouteHoverPoint);
+    subscribe('birdingStops', updateStopMarkers);
+    subscribe('selectedStop', highlightSelectedStop);
+    subscribe('hotspots', updateHotspotMarkers);
+    subscribe('showHotspots', toggleHotspotLayer);
+    subscribe('selectedHotspot', highlightSelectedHotspot);
+    toggleHotspotLayer(getState('showHotspots'));
 }
 
 /**
@@ -271,8 +330,9 @@ function createClusterIcon(cluster) {
 /**
  * Display a route on the map
  * @param {object} routeData - Route data from RideWithGPS
+ * @param {object|null} initialView - { lat, lng, zoom } to show instead of the whole route
  */
-export function displayRoute(routeData) {
+export function displayRoute(routeData, initialView = null) {
     // Clear existing route
     if (routeLayer) {
         map.removeLayer(routeLayer);
@@ -291,8 +351,8 @@ export function displayRoute(routeData) {
         return;
     }
 
-    // Store coordinates in state for bird queries
-    setState({ routeGeoJSON: coordinates });
+    // Store route and coordinates in state for bird queries and the elevation profile
+    setState({ route: routeData, routeGeoJSON: coordinates });
 
     // Create route polyline
     routeLayer = L.polyline(coordinates, {
@@ -332,7 +392,12 @@ export function displayRoute(routeData) {
     // Fit map to route bounds with asymmetric padding for sidebar
     // Use setTimeout to ensure map container has correct size after page transition
     setTimeout(() => {
-        fitToRoute();
+        if (initialView) {
+            map.invalidateSize();
+            setMapView(initialView);
+        } else {
+            fitToRoute();
+        }
     }, 150);
 }
 
@@ -426,6 +491,10 @@ function createBirdMarker(bird, index) {
         setState({ selectedBird: { ...bird, index } });
     });
 
+    // Share hover with the bird list and elevation profile
+    marker.on('mouseover', () => setState({ hoveredBird: index }));
+    marker.on('mouseout', () => setState({ hoveredBird: null }));
+
     return marker;
 }
 
@@ -443,10 +512,11 @@ function createBirdIcon(bird, index) {
  */
 function createBirdIconWithPhoto(bird, index, photoUrl) {
     const rarityClass = bird.rarity || 'common';
+    const lifeListClass = bird.lifeListStatus ? ` ${bird.lifeListStatus}` : '';
 
     return L.divIcon({
         html: `
-            <div class="bird-marker ${rarityClass}" data-marker-index="${index}">
+            <div class="bird-marker ${rarityClass}${lifeListClass}" data-marker-index="${index}">
                 <img src="${photoUrl}" alt="" class="bird-marker-img">
             </div>
         `,
@@ -496,7 +566,8 @@ function createSightingMarker(lat, lng, bird) {
 }
 
 /**
- * Highlight the selected bird marker
+ * Highlight the selected bird marker, panning to it unless the selection asks
+ * to keep the map where it is (keepMapView, set when a shared link opens)
  */
 function highlightSelectedBird(bird) {
     // Remove highlight from all markers
@@ -524,7 +595,9 @@ function highlightSelectedBird(bird) {
     if (isAlternateLocation) {
         // Create a temporary marker at the alternate sighting location
         const tempMarker = createSightingMarker(bird.lat, bird.lng, bird);
-        map.panTo([bird.lat, bird.lng], { animate: true, duration: 0.5 });
+        if (!bird.keepMapView) {
+            map.panTo([bird.lat, bird.lng], { animate: true, duration: 0.5 });
+        }
         tempMarker.openTooltip();
     } else {
         // Primary location - use existing marker highlighting logic
@@ -538,14 +611,198 @@ function highlightSelectedBird(bird) {
 
         const visibleParent = birdMarkersLayer.getVisibleParent(marker);
         if (visibleParent === marker) {
-            map.panTo([bird.lat, bird.lng], { animate: true, duration: 0.5 });
+            if (!bird.keepMapView) {
+                map.panTo([bird.lat, bird.lng], { animate: true, duration: 0.5 });
+            }
             highlightMarker();
-        } else {
+        } else if (!bird.keepMapView) {
             birdMarkersLayer.zoomToShowLayer(marker, highlightMarker);
         }
     }
 }
 
+/**
+ * Update birding stop markers on the map
+ * @param {array} stops - Ranked birding stops
+ */
+function updateStopMarkers(stops) {
+    stopMarkersLayer.clearLayers();
+    stopMarkersById.clear();
+
+    const selectedStop = getState('selectedStop');
+    stops.forEach((stop, i) => {
+        const marker = L.marker([stop.lat, stop.lng], {
+            icon: createStopIcon(i + 1, stop.id === selectedStop),
+            pane: 'stopsPane',
+        });
+
+        marker.bindTooltip(`${escapeHtml(stop.locName)} · ${stop.species.length} species`, {
+            permanent: false,
+            direction: 'top',
+            className: 'bird-tooltip',
+            offset: [0, -28],
+        });
+
+        // Stop propagation to prevent map click handler from closing the cluster popover
+        marker.on('click', (e) => {
+            L.DomEvent.stopPropagation(e);
+            setState({ selectedStop: stop.id, sidebarView: 'stops' });
+        });
+
+        stopMarkersLayer.addLayer(marker);
+        stopMarkersById.set(stop.id, marker);
+    });
+}
+
+/**
+ * Create a birding stop marker icon: a pin with the stop's rank
+ */
+function createStopIcon(rank, selected) {
+    return L.divIcon({
+        html: `<div class="stop-marker ${selected ? 'selected' : ''}"><span>${rank}</span></div>`,
+        className: '',
+        iconSize: [30, 36],
+        iconAnchor: [15, 36],
+    });
+}
+
+/**
+ * Highlight the selected birding stop and pan to it
+ * @param {string|null} stopId - Selected stop ID
+ */
+function highlightSelectedStop(stopId) {
+    document.querySelectorAll('.stop-marker.selected').forEach(el => {
+        el.classList.remove('selected');
+    });
+
+    const marker = stopId ? stopMarkersById.get(stopId) : null;
+    if (!marker) return;
+
+    marker.getElement()?.querySelector('.stop-marker')?.classList.add('selected');
+    map.panTo(marker.getLatLng(), { animate: true, duration: 0.5 });
+    marker.openTooltip();
+}
+
+/**
+ * Show or hide the hotspot layer
+ * @param {boolean} show - True to show hotspots
+ */
+function toggleHotspotLayer(show) {
+    if (show) {
+        hotspotLayer.addTo(map);
+    } else {
+        hotspotLayer.remove();
+        setState({ selectedHotspot: null });
+    }
+    hotspotToggleButton.classList.toggle('active', show);
+    hotspotToggleButton.setAttribute('aria-pressed', String(show));
+    hotspotToggleButton.title = show ? 'Hide eBird hotspots' : 'Show eBird hotspots';
+}
+
+/**
+ * Update eBird hotspot markers
+ * @param {array} hotspots - Hotspots within the corridor
+ */
+function updateHotspotMarkers(hotspots) {
+    hotspotLayer.clearLayers();
+
+    const selected = getState('selectedHotspot');
+    for (const hotspot of hotspots) {
+        const marker = L.marker([hotspot.lat, hotspot.lng], {
+            icon: createHotspotIcon(hotspot, hotspot.locId === selected?.locId),
+        });
+        marker.hotspotId = hotspot.locId;
+
+        const lastVisit = hotspot.latestObsDt ? ` · last checklist ${formatObservationDate(hotspot.latestObsDt)}` : '';
+        marker.bindTooltip(`${escapeHtml(hotspot.locName)}<br>${hotspot.numSpeciesAllTime} species all time${lastVisit}`, {
+            permanent: false,
+            direction: 'top',
+            className: 'bird-tooltip',
+        });
+
+        // Stop propagation to prevent map click handler from closing the panel
+        marker.on('click', (e) => {
+            L.DomEvent.stopPropagation(e);
+            setState({ selectedHotspot: hotspot });
+        });
+
+        hotspotLayer.addLayer(marker);
+    }
+}
+
+/**
+ * Create a hotspot marker icon, shaded by all-time species count like eBird's hotspot map
+ */
+function createHotspotIcon(hotspot, selected) {
+    const count = hotspot.numSpeciesAllTime;
+    const tier = count >= 200 ? 'high' : count >= 100 ? 'mid' : 'low';
+
+    return L.divIcon({
+        html: `<div class="hotspot-marker ${tier} ${selected ? 'selected' : ''}"></div>`,
+        className: '',
+        iconSize: [16, 16],
+        iconAnchor: [8, 8],
+    });
+}
+
+/**
+ * Highlight the selected hotspot's marker
+ * @param {object|null} hotspot - Selected hotspot
+ */
+function highlightSelectedHotspot(hotspot) {
+    hotspotLayer.eachLayer(marker => {
+        const el = marker.getElement()?.querySelector('.hotspot-marker');
+        if (el) {
+            el.classList.toggle('selected', marker.hotspotId === hotspot?.locId);
+        }
+    });
+}
+
+/**
+ * Mark the hovered bird's marker
+ * @param {number|null} index - filteredBirds index of the hovered bird
+ */
+function highlightHoveredBird(index) {
+    document.querySelectorAll('.bird-marker.hovered').forEach(el => {
+        el.classList.remove('hovered');
+    });
+
+    if (index === null) return;
+
+    const markerEl = document.querySelector(`[data-marker-index="${index}"]`);
+    if (markerEl) {
+        markerEl.classList.add('hovered');
+    }
+}
+
+/**
+ * Show the route position under the elevation profile cursor
+ * @param {object|null} point - { lat, lng } or null to hide
+ */
+function showRouteHoverPoint(point) {
+    if (!point) {
+        if (routeHoverMarker) {
+            map.removeLayer(routeHoverMarker);
+            routeHoverMarker = null;
+        }
+        return;
+    }
+
+    if (routeHoverMarker) {
+        routeHoverMarker.setLatLng([point.lat, point.lng]);
+    } else {
+        routeHoverMarker = L.circleMarker([point.lat, point.lng], {
+            radius: 7,
+            color: '#ffffff',
+            weight: 3,
+            fillColor: '#2563eb',
+            fillOpacity: 1,
+            interactive: false,
+            className: 'route-hover-marker',
+        }).addTo(map);
+    }
+}
+
 /**
  * Pan to a specific bird
  */
@@ -558,6 +815,16 @@ export function panToBird(bird) {
     }
 }
 
+/**
+ * Move the map to a viewport (e.g. one restored from a shared link)
+ * @param {object} view - { lat, lng, zoom }
+ */
+export function setMapView(view) {
+    if (map && view) {
+        map.setView([view.lat, view.lng], view.zoom, { animate: false });
+    }
+}
+
 /**
  * Resize the map (call when container size changes)
  */
@@ -569,6 +836,15 @@ export function invalidateMapSize() {
     }
 }
 
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 /**
  * Get the map instance
  */
@@ -586,7 +862,12 @@ export function destroyMap() {
             map.removeLayer(sightingMarker);
             sightingMarker = null;
         }
+        routeHoverMarker = null;
         map.remove();
+        stopMarkersLayer = null;
+        stopMarkersById.clear();
+        hotspotLayer = null;
+        hotspotToggleButton = null;
         map = null;
         routeLayer = null;
         birdMarkersLayer = null;
@@ -13,7 +13,7 @@ let onSelectCallback;
 
 /**
  * Initialize the recent routes component
- * @param {function} onSelect - Callback when a route is selected
+ * @param {function} onSelect - Callback when a route is selected, called with (routeId, type)
  */
 export function initRecentRoutes(onSelect) {
     containerEl = document.getElementById('recent-routes');
@@ -43,12 +43,13 @@ export function renderRecentRoutes() {
     // Bind click handlers
     listEl.querySelectorAll('.recent-route-card').forEach(card => {
         const routeId = card.dataset.routeId;
+        const routeType = card.dataset.routeType;
 
         // Click on card to load route
         card.addEventListener('click', (e) => {
             if (e.target.closest('.recent-route-remove')) return;
             if (onSelectCallback) {
-                onSelectCallback(routeId);
+                onSelectCallback(routeId, routeType);
             }
         });
 
@@ -57,7 +58,7 @@ export function renderRecentRoutes() {
         if (removeBtn) {
             removeBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                removeFromHistory(routeId);
+                removeFromHistory(routeId, routeType);
                 renderRecentRoutes();
             });
         }
@@ -74,7 +75,7 @@ function createRouteCard(route) {
     const timeAgo = formatHistoryTime(route.timestamp);
 
     return `
-        <div class="recent-route-card" data-route-id="${route.id}">
+        <div class="recent-route-card" data-route-id="${route.id}" data-route-type="${route.type || 'route'}">
             <div class="recent-route-icon">
                 <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <path d="M3 17l6-6 4 4 8-8"/>
@@ -0,0 +1,279 @@
+/**
+ * BirdRide - Sighting Log Component
+ * "Saw it" dialog for recording a bird seen on the ride, and the sidebar's
+ * My sightings view listing what was logged on the current route, with an
+ * export to eBird's checklist import
+ */
+
+import { getState, setState, subscribe } from '../utils/state.js';
+import { getLoggedSightings, logSighting, removeLoggedSighting } from '../services/sightingLog.js';
+import { findNearestPointOnRoute, getPointAtDistance, getRouteLength } from '../utils/routeGeometry.js';
+import { groupChecklists, formatEbirdRecordCsv } from '../utils/ebirdChecklists.js';
+import { downloadFile, toFileNamePart } from '../utils/download.js';
+
+// Give up on the device location after this long (ms)
+const GEOLOCATION_TIMEOUT_MS = 15000;
+
+// UI Elements
+let dialogEl;
+let formEl;
+let speciesEl;
+let countInput;
+let timeInput;
+let routeMileInput;
+let deviceStatusEl;
+let noteInput;
+let listEl;
+let emptyEl;
+let countEl;
+let toolbarEl;
+let summaryEl;
+
+// Bird being logged, and the device position if the user asked for it
+let pendingBird = null;
+let devicePosition = null;
+
+/**
+ * Initialize the sighting log dialog and My sightings view
+ */
+export function initSightingLog() {
+    dialogEl = document.getElementById('log-dialog');
+    formEl = document.getElementById('log-form');
+    speciesEl = document.getElementById('log-species');
+    countInput = document.getElementById('log-count');
+    timeInput = document.getElementById('log-time');
+    routeMileInput = document.getElementById('log-route-mile');
+    deviceStatusEl = document.getElementById('log-device-status');
+    noteInput = document.getElementById('log-note');
+    listEl = document.getElementById('log-list');
+    emptyEl = document.getElementById('log-empty');
+    countEl = document.getElementById('log-count-badge');
+    toolbarEl = document.getElementById('log-toolbar');
+    summaryEl = document.getElementById('log-summary');
+
+    // Bind dialog handlers
+    formEl.addEventListener('submit', handleSave);
+    document.getElementById('log-cancel').addEventListener('click', closeLogDialog);
+    dialogEl.querySelector('.log-dialog-backdrop').addEventListener('click', closeLogDialog);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !dialogEl.classList.contains('hidden')) {
+            closeLogDialog();
+        }
+    });
+    formEl.querySelectorAll('input[name="log-location"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            if (radio.value === 'device' && radio.checked) {
+                requestDeviceLocation();
+            }
+        });
+    });
+    routeMileInput.addEventListener('focus', () => setLocationSource('route'));
+    document.getElementById('log-export-ebird').addEventListener('click', handleEbirdExport);
+
+    // Subscribe to state changes
+    subscribe('route', route => setState({ loggedSightings: getLoggedSightings(route) }));
+    subscribe('loggedSightings', renderLog);
+}
+
+/**
+ * Open the "Saw it" dialog for a bird
+ * @param {object} bird - Bird from the filtered list
+ * @param {object|null} sighting - eBird sighting the user saw it near, if any
+ */
+export function openLogDialog(bird, sighting = null) {
+    pendingBird = bird;
+    devicePosition = null;
+
+    const routeMile = (sighting || bird).routeMile;
+    speciesEl.textContent = bird.comName;
+    countInput.value = 1;
+    timeInput.value = toLocalInputValue(new Date());
+    routeMileInput.value = routeMile != null ? routeMile.toFixed(1) : '';
+    routeMileInput.max = getRouteLength(getState('routeGeoJSON')).toFixed(1);
+    noteInput.value = '';
+    deviceStatusEl.textContent = '';
+    setLocationSource('route');
+
+    dialogEl.classList.remove('hidden');
+    countInput.focus();
+}
+
+/**
+ * Close the "Saw it" dialog without saving
+ */
+function closeLogDialog() {
+    dialogEl.classList.add('hidden');
+    pendingBird = null;
+}
+
+/**
+ * Select where the sighting is placed: 'route' (a route mile) or 'device'
+ */
+function setLocationSource(source) {
+    formEl.querySelector(`input[name="log-location"][value="${source}"]`).checked = true;
+}
+
+/**
+ * Ask the browser for the device's current position
+ */
+function requestDeviceLocation() {
+    if (!navigator.geolocation) {
+        deviceStatusEl.textContent = 'Not available on this device';
+        setLocationSource('route');
+        return;
+    }
+
+    deviceStatusEl.textContent = 'Locating...';
+    navigator.geolocation.getCurrentPosition(
+        (position) => {
+            devicePosition = { lat: position.coords.latitude, lng: position.coords.longitude };
+            const nearest = findNearestPointOnRoute(getState('routeGeoJSON'), devicePosition.lat, devicePosition.lng);
+            deviceStatusEl.textContent = `Mile ${nearest.alongRoute.toFixed(1)}` +
+                (nearest.distance >= 0.1 ? `, ${nearest.distance.toFixed(1)} mi off route` : '');
+        },
+        (error) => {
+            console.warn('Failed to get device location:', error);
+            deviceStatusEl.textContent = 'Location unavailable';
+            setLocationSource('route');
+        },
+        { enableHighAccuracy: true, timeout: GEOLOCATION_TIMEOUT_MS }
+    );
+}
+
+/**
+ * Save the sighting being logged
+ */
+function handleSave(e) {
+    e.preventDefault();
+
+    const route = getState('route');
+    const routeCoords = getState('routeGeoJSON');
+    if (!pendingBird || !route) return;
+
+    const source = formEl.querySelector('input[name="log-location"]:checked').value;
+    let location;
+    if (source === 'device') {
+        if (!devicePosition) {
+            deviceStatusEl.textContent = 'Still locating...';
+            return;
+        }
+        const nearest = findNearestPointOnRoute(routeCoords, devicePosition.lat, devicePosition.lng);
+        location = { ...devicePosition, routeMile: nearest.alongRoute };
+    } else {
+        const routeLength = getRouteLength(routeCoords);
+        const routeMile = Math.min(Math.max(parseFloat(routeMileInput.value) || 0, 0), routeLength);
+        location = { ...getPointAtDistance(routeCoords, routeMile), routeMile };
+    }
+
+    const observedAt = new Date(timeInput.value).getTime();
+    logSighting(route, {
+        speciesCode: pendingBird.speciesCode,
+        comName: pendingBird.comName,
+        sciName: pendingBird.sciName,
+        observedAt: isNaN(observedAt) ? Date.now() : observedAt,
+        ...location,
+        locationSource: source,
+        count: Math.max(parseInt(countInput.value, 10) || 1, 1),
+        note: noteInput.value.trim()
+    });
+
+    setState({ loggedSightings: getLoggedSightings(route) });
+    closeLogDialog();
+}
+
+/**
+ * Download the logged sightings as eBird checklists
+ */
+function handleEbirdExport() {
+    const route = getState('route');
+    const entries = getState('loggedSightings');
+    if (!route || entries.length === 0) return;
+
+    const checklists = groupChecklists(entries, {
+        route,
+        routeCoords: getState('routeGeoJSON'),
+        hotspots: getState('allHotspots')
+    });
+    downloadFile(
+        `birdride-${toFileNamePart(route.name)}-ebird.csv`,
+        formatEbirdRecordCsv(checklists, route.name),
+        'text/csv'
+    );
+}
+
+/**
+ * Render the My sightings view
+ * @param {array} entries - Sightings logged on this route, most recent first
+ */
+function renderLog(entries) {
+    countEl.textContent = entries.length > 0 ? entries.length : '';
+    toolbarEl.classList.toggle('hidden', entries.length === 0);
+
+    if (entries.length === 0) {
+        listEl.innerHTML = '';
+        listEl.classList.add('hidden');
+        emptyEl.classList.remove('hidden');
+        return;
+    }
+
+    listEl.classList.remove('hidden');
+    emptyEl.classList.add('hidden');
+
+    const speciesCount = new Set(entries.map(entry => entry.speciesCode)).size;
+    summaryEl.textContent = `${speciesCount} species, ` +
+        `${entries.length} ${entries.length === 1 ? 'sighting' : 'sightings'}`;
+
+    listEl.innerHTML = entries.map(entry => `
+        <div class="log-entry" data-entry-id="${escapeHtml(entry.id)}">
+            <div class="log-entry-info">
+                <span class="log-entry-name">${escapeHtml(entry.comName)}${entry.count > 1 ? ` <span class="sighting-count">×${entry.count}</span>` : ''}</span>
+                <span class="log-entry-meta">
+                    ${formatLoggedTime(entry.observedAt)} · Mile ${entry.routeMile.toFixed(1)}${entry.locationSource === 'device' ? ' (my location)' : ''}
+                </span>
+                ${entry.note ? `<span class="log-entry-note">${escapeHtml(entry.note)}</span>` : ''}
+            </div>
+            <button class="log-entry-remove" title="Remove this sighting" aria-label="Remove this sighting">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 6L6 18M6 6l12 12"></path>
+                </svg>
+            </button>
+        </div>
+    `).join('');
+
+    // Bind remove handlers
+    listEl.querySelectorAll('.log-entry-remove').forEach(button => {
+        button.addEventListener('click', () => {
+            removeLoggedSighting(button.closest('.log-entry').dataset.entryId);
+            setState({ loggedSightings: getLoggedSightings(getState('route')) });
+        });
+    });
+}
+
+/**
+ * Format a logged time for display
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @returns {string} e.g. "May 3, 2025, 7:42 AM"
+ */
+function formatLoggedTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', {
+        month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+}
+
+/**
+ * Format a date as a datetime-local input value (local time, to the minute)
+ */
+function toLocalInputValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,152 @@
+/**
+ * BirdRide - Stop List Component
+ * Ranked list of suggested birding stops in the sidebar's Stops view
+ */
+
+import { getState, setState, subscribe } from '../utils/state.js';
+import { formatObservationDate, getLocationDescription } from '../services/birdService.js';
+
+// Species shown on a collapsed stop card
+const SPECIES_PREVIEW_COUNT = 6;
+
+// DOM elements
+let listEl;
+let emptyEl;
+let countEl;
+
+/**
+ * Initialize the stop list component
+ */
+export function initStopList() {
+    listEl = document.getElementById('stop-list');
+    emptyEl = document.getElementById('stops-empty');
+    countEl = document.getElementById('stop-count');
+
+    // Subscribe to state changes
+    subscribe('birdingStops', renderStopList);
+    subscribe('selectedStop', highlightSelectedStop);
+}
+
+/**
+ * Render the stop list
+ * @param {array} stops - Ranked birding stops
+ */
+function renderStopList(stops) {
+    countEl.textContent = stops.length > 0 ? stops.length : '';
+
+    if (stops.length === 0) {
+        listEl.innerHTML = '';
+        listEl.classList.add('hidden');
+        emptyEl.classList.remove('hidden');
+        return;
+    }
+
+    listEl.classList.remove('hidden');
+    emptyEl.classList.add('hidden');
+
+    const routeCoords = getState('routeGeoJSON');
+    listEl.innerHTML = stops.map((stop, i) => createStopCard(stop, i + 1, routeCoords)).join('');
+
+    // Bind click handlers
+    listEl.querySelectorAll('.stop-card').forEach(card => {
+        card.addEventListener('click', (e) => {
+            if (e.target.closest('.stop-species-chip')) return;  // Handled below
+            const stopId = card.dataset.stopId;
+            setState({ selectedStop: getState('selectedStop') === stopId ? null : stopId });
+        });
+    });
+
+    // Species chips select the bird at this stop
+    listEl.querySelectorAll('.stop-species-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            const stop = stops.find(s => s.id === chip.closest('.stop-card').dataset.stopId);
+            const index = parseInt(chip.dataset.index);
+            const bird = getState('filteredBirds')[index];
+            if (stop && bird) {
+                setState({ selectedBird: { ...bird, index, lat: stop.lat, lng: stop.lng } });
+            }
+        });
+    });
+
+    highlightSelectedStop(getState('selectedStop'));
+}
+
+/**
+ * Create a stop card
+ * @param {object} stop - Birding stop
+ * @param {number} rank - Position in the ranking (1 = best)
+ * @param {array} routeCoords - Route coordinates
+ * @returns {string} HTML string
+ */
+function createStopCard(stop, rank, routeCoords) {
+    const position = [getLocationDescription(stop, routeCoords)];
+    if (stop.distanceFromRoute >= 0.1) {
+        position.push(`${stop.distanceFromRoute.toFixed(1)} mi off route`);
+    }
+
+    const summary = [`${stop.species.length} species`];
+    if (stop.notableCount > 0) {
+        summary.push(`${stop.notableCount} notable`);
+    }
+    if (stop.numSpeciesAllTime) {
+        summary.push(`${stop.numSpeciesAllTime.toLocaleString()} all time`);
+    }
+    summary.push(`${stop.checklistCount} ${stop.checklistCount === 1 ? 'checklist' : 'checklists'}`);
+    if (stop.lastObsDt) {
+        summary.push(`last ${formatObservationDate(stop.lastObsDt)}`);
+    }
+
+    const chips = stop.species.map((species, i) => `
+        <button class="stop-species-chip ${species.rarity} ${i >= SPECIES_PREVIEW_COUNT ? 'extra' : ''}"
+                data-index="${species.index}"
+                title="Reported on ${species.checklists} ${species.checklists === 1 ? 'checklist' : 'checklists'}">
+            ${escapeHtml(species.comName)}
+        </button>
+    `).join('');
+    const extraCount = stop.species.length - SPECIES_PREVIEW_COUNT;
+
+    return `
+        <article class="stop-card" data-stop-id="${escapeHtml(stop.id)}">
+            <div class="stop-card-header">
+                <span class="stop-rank">${rank}</span>
+                <div class="stop-card-info">
+                    <h3 class="stop-name">${escapeHtml(stop.locName)}</h3>
+                    <p class="stop-position">${position.join(' · ')}</p>
+                </div>
+                ${stop.habitat ? `<span class="stop-habitat ${stop.habitat.id}">${stop.habitat.label}</span>` : ''}
+            </div>
+            <p class="stop-summary">${summary.join(' · ')}</p>
+            <div class="stop-species">
+                ${chips}
+                ${extraCount > 0 ? `<span class="stop-species-more">+${extraCount} more</span>` : ''}
+            </div>
+        </article>
+    `;
+}
+
+/**
+ * Highlight and expand the selected stop's card
+ * @param {string|null} stopId - Selected stop ID
+ */
+function highlightSelectedStop(stopId) {
+    listEl.querySelectorAll('.stop-card.active').forEach(card => {
+        card.classList.remove('active');
+    });
+
+    if (!stopId) return;
+
+    const card = listEl.querySelector(`[data-stop-id="${CSS.escape(stopId)}"]`);
+    if (card) {
+        card.classList.add('active');
+        card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
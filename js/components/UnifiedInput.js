@@ -1,10 +1,12 @@
 /**
  * BirdRide - Unified Input Component
- * Handles RideWithGPS URL input, location search, and route loading
+ * Handles RideWithGPS URL input, location search, route file import, and route loading
  */
 
 import { getState, setState } from '../utils/state.js';
-import { parseRideWithGPSUrl, isRideWithGPSUrl, fetchRoute } from '../services/routeService.js';
+import { parseRideWithGPSUrl, isRideWithGPSUrl, fetchRoute, fetchTrip } from '../services/routeService.js';
+import { importRouteFile, getAcceptedExtensions } from '../services/routeImport.js';
+import { saveImportedRoute } from '../services/importedRoutes.js';
 
 // UI Elements
 let inputEl;
@@ -14,6 +16,9 @@ let loadingEl;
 let searchDropdown;
 let locationResults;
 let routeResults;
+let inputContainer;
+let fileInput;
+let fileButton;
 
 // State
 let debounceTimer = null;
@@ -32,6 +37,10 @@ export function initUnifiedInput() {
     searchDropdown = document.getElementById('search-dropdown');
     locationResults = document.getElementById('location-results');
     routeResults = document.getElementById('route-results');
+    inputContainer = document.querySelector('.unified-input-container');
+    fileInput = document.getElementById('route-file-input');
+    fileButton = document.getElementById('route-file-button');
+    fileInput.accept = getAcceptedExtensions().join(',');
 
     // Bind event listeners
     inputEl.addEventListener('input', handleInput);
@@ -40,6 +49,11 @@ export function initUnifiedInput() {
     inputEl.addEventListener('focus', handleFocus);
     clearBtn.addEventListener('click', handleClear);
 
+    // Route file import (picker and drag & drop)
+    fileButton.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', handleFileSelect);
+    setupFileDrop();
+
     // Close dropdown when clicking outside
     document.addEventListener('click', (e) => {
         if (!e.target.closest('.unified-input-container')) {
@@ -377,24 +391,94 @@ async function loadRouteById(routeId) {
 }
 
 /**
- * Validate and load a RideWithGPS URL
+ * Validate and load a RideWithGPS route or trip URL
  */
 async function validateAndLoadRoute(url) {
     const parsed = parseRideWithGPSUrl(url);
 
     if (!parsed) {
-        showError('Please enter a valid RideWithGPS route link');
+        showError('Please enter a valid RideWithGPS route or trip link');
         return;
     }
 
-    showLoading('Loading route...');
+    const isTrip = parsed.type === 'trip';
+    showLoading(isTrip ? 'Loading ride...' : 'Loading route...');
 
     try {
-        const routeData = await fetchRoute(parsed.id);
+        const routeData = isTrip ? await fetchTrip(parsed.id) : await fetchRoute(parsed.id);
         loadRoute(routeData);
     } catch (error) {
         console.error('Error loading route:', error);
-        showError('Could not load that route. Make sure it\'s a public RideWithGPS link.');
+        showError(`Could not load that ${isTrip ? 'ride' : 'route'}. Make sure it's a public RideWithGPS link.`);
+        hideLoading();
+    }
+}
+
+/**
+ * Set up drag & drop of route files onto the landing page
+ */
+function setupFileDrop() {
+    const landingPage = document.getElementById('landing-page');
+    let dragDepth = 0;
+
+    landingPage.addEventListener('dragenter', (e) => {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        e.preventDefault();
+        dragDepth++;
+        inputContainer.classList.add('drag-active');
+    });
+
+    landingPage.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+
+    landingPage.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) {
+            inputContainer.classList.remove('drag-active');
+        }
+    });
+
+    landingPage.addEventListener('drop', (e) => {
+        if (!e.dataTransfer?.files.length) return;
+        e.preventDefault();
+        dragDepth = 0;
+        inputContainer.classList.remove('drag-active');
+        loadRouteFile(e.dataTransfer.files[0]);
+    });
+}
+
+/**
+ * Handle file picker selection
+ */
+function handleFileSelect() {
+    const file = fileInput.files[0];
+    // Reset so selecting the same file again still fires 'change'
+    fileInput.value = '';
+    if (file) {
+        loadRouteFile(file);
+    }
+}
+
+/**
+ * Parse a route file and load it
+ * @param {File} file - Route file (GPX, TCX, FIT, GeoJSON) chosen or dropped by the user
+ */
+async function loadRouteFile(file) {
+    hideError();
+    hideDropdown();
+    showLoading('Reading route file...');
+
+    try {
+        const routeData = await importRouteFile(file);
+        // A route that can't be stored still shows, but can't be reopened later
+        const stored = saveImportedRoute(routeData);
+        loadRoute(stored ? routeData : { ...routeData, notStored: true });
+    } catch (error) {
+        console.error('Error importing route file:', error);
+        showError(`Could not read that file. ${error.message}`);
         hideLoading();
     }
 }
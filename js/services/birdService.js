@@ -4,6 +4,21 @@
  * and bird photos via backend proxy
  */
 
+import { sampleRoutePoints } from './routeService.js';
+import { getDistanceAlongRoute } from '../utils/routeGeometry.js';
+
+// Search radius around each sample point (km): 1.5x the corridor half-width,
+// between the original 2.5 km and eBird's 50 km maximum. Corridors wider than
+// the maximum radius allows are searched as if they were that wide.
+const MIN_SEARCH_RADIUS_KM = 2.5;
+const MAX_SEARCH_RADIUS_KM = 50;
+const RADIUS_PER_CORRIDOR_KM = 1.5;
+
+const KM_PER_MILE = 1.609344;
+
+// Upper bound on sample points per query (each one costs two eBird requests)
+const MAX_SAMPLE_POINTS = 40;
+
 // Photo cache - stores photo URLs and credits by species code
 const photoCache = new Map();
 
@@ -11,20 +26,38 @@ const photoCache = new Map();
 const heroImageCache = new Map();
 
 /**
- * Fetch recent bird observations near route coordinates
- * @param {array} coordinates - Array of [lat, lng] points along route
- * @param {number} days - Number of days to look back
- * @returns {Promise<array>} Bird observations
+ * Sample points along a route for bird queries
+ * The search radius grows with the corridor, and samples are spaced so their
+ * search circles cover the whole corridor (up to the widest one eBird's maximum
+ * radius can cover)
+ * @param {array} coordinates - Route coordinates
+ * @param {number} corridorMiles - Corridor half-width (the distance filter, in miles)
+ * @returns {object} Sampling result (see sampleRoutePoints) plus radiusKm and corridorMiles
  */
-export async function fetchRecentBirds(coordinates, days = 14) {
-    // Sample points to reduce API load
-    const samplePoints = sampleCoordinates(coordinates, 15);
+export function sampleRouteForBirds(coordinates, corridorMiles) {
+    const corridorKm = Math.min(corridorMiles * KM_PER_MILE, MAX_SEARCH_RADIUS_KM / RADIUS_PER_CORRIDOR_KM);
+    const radiusKm = Math.min(
+        Math.max(corridorKm * RADIUS_PER_CORRIDOR_KM, MIN_SEARCH_RADIUS_KM),
+        MAX_SEARCH_RADIUS_KM
+    );
+
+    const sampling = sampleRoutePoints(coordinates, {
+        radiusKm,
+        corridorKm,
+        maxPoints: MAX_SAMPLE_POINTS
+    });
+    return { ...sampling, radiusKm, corridorMiles };
+}
 
-    const response = await fetch('/api/birds?' + new URLSearchParams({
-        coords: JSON.stringify(samplePoints),
-        days: days,
-        radius: 2.5
-    }));
+/**
+ * Fetch recent bird observations near route sample points
+ * @param {object} sampling - Sample points and search radius (see sampleRouteForBirds)
+ * @param {number} days - Number of days to look back (or window length around anchorDate)
+ * @param {string|null} anchorDate - Date to center the window on (YYYY-MM-DD), or null for the last N days
+ * @returns {Promise<array>} Bird observations
+ */
+export async function fetchRecentBirds(sampling, days = 14, anchorDate = null) {
+    const response = await fetch('/api/birds?' + buildBirdQuery(sampling, days, anchorDate));
 
     if (!response.ok) {
         throw new Error('Failed to fetch bird data');
@@ -34,25 +67,197 @@ export async function fetchRecentBirds(coordinates, days = 14) {
 }
 
 /**
- * Sample coordinates evenly along a route
- * @param {array} coordinates - Full route coordinates
- * @param {number} maxPoints - Maximum points to return
- * @returns {array} Sampled coordinates
+ * Stream bird observations near route sample points, reporting partial results
+ * as each part of the route is searched
+ * @param {object} sampling - Sample points and search radius (see sampleRouteForBirds)
+ * @param {number} days - Number of days to look back (or window length around anchorDate)
+ * @param {string|null} anchorDate - Date to center the window on (YYYY-MM-DD), or null for the last N days
+ * @param {function} onProgress - Called with ({ birds, completed, total }) after each partial result,
+ *                                where birds is the merged list so far
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @returns {Promise<array>} All bird observations, merged by species
  */
-function sampleCoordinates(coordinates, maxPoints) {
-    if (coordinates.length <= maxPoints) {
-        return coordinates;
+export async function streamRecentBirds(sampling, days = 14, anchorDate = null, onProgress = () => {}, signal = undefined) {
+    return streamBirds(buildBirdQuery(sampling, days, anchorDate), onProgress, signal);
+}
+
+/**
+ * Stream historic bird observations near route sample points on a set of past dates
+ * (used to plan a ride for a time of year), reporting partial results as they arrive
+ * @param {object} sampling - Sample points and search radius (see sampleRouteForBirds)
+ * @param {array} dates - Dates to search (YYYY-MM-DD)
+ * @param {function} onProgress - Called with ({ birds, completed, total }) after each partial result
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @returns {Promise<array>} All bird observations, merged by species
+ */
+export async function streamSeasonBirds(sampling, dates, onProgress = () => {}, signal = undefined) {
+    const query = buildBirdQuery(sampling);
+    query.set('dates', dates.join(','));
+    return streamBirds(query, onProgress, signal);
+}
+
+/**
+ * Read the bird stream endpoint's newline-delimited messages, merging species as they arrive
+ * @param {URLSearchParams} query - Bird query
+ * @param {function} onProgress - Called with ({ birds, completed, total }) after each message
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @returns {Promise<array>} All bird observations, merged by species
+ */
+async function streamBirds(query, onProgress, signal) {
+    const response = await fetch('/api/birds/stream?' + query, { signal });
+
+    if (!response.ok || !response.body) {
+        throw new Error('Failed to fetch bird data');
     }
 
-    const step = Math.floor(coordinates.length / maxPoints);
-    const sampled = [];
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const speciesMap = new Map();
+    let buffer = '';
+    let birds = [];
 
-    for (let i = 0; i < coordinates.length; i += step) {
-        sampled.push(coordinates[i]);
-        if (sampled.length >= maxPoints) break;
+    const handleLine = (line) => {
+        if (!line.trim()) return;
+
+        const message = JSON.parse(line);
+        if (message.type === 'error') {
+            throw new Error(message.error);
+        }
+        if (message.type === 'birds') {
+            mergeBirds(speciesMap, message.birds);
+            birds = Array.from(speciesMap.values());
+        }
+        if (message.type !== 'done') {
+            onProgress({ birds, completed: message.completed || 0, total: message.total });
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
     }
+    handleLine(buffer + decoder.decode());
 
-    return sampled;
+    return birds;
+}
+
+/**
+ * Fetch eBird hotspots near route sample points
+ * @param {object} sampling - Sample points and search radius (see sampleRouteForBirds)
+ * @returns {Promise<array>} Hotspots: { locId, locName, lat, lng, countryCode, subnational1Code,
+ *                          numSpeciesAllTime, latestObsDt }
+ */
+export async function fetchHotspots(sampling) {
+    const response = await fetch('/api/hotspots?' + buildBirdQuery(sampling));
+
+    if (!response.ok) {
+        throw new Error('Failed to fetch hotspots');
+    }
+
+    return response.json();
+}
+
+/**
+ * Fetch the latest observation of each species recently reported at a hotspot
+ * @param {string} locId - eBird hotspot ID (e.g. 'L123456')
+ * @param {number} days - Number of days to look back (1-30)
+ * @returns {Promise<array>} Observations, most recent first
+ */
+export async function fetchHotspotObservations(locId, days = 14) {
+    const response = await fetch(`/api/hotspots/${encodeURIComponent(locId)}/recent?days=${days}`);
+
+    if (!response.ok) {
+        throw new Error('Failed to fetch hotspot observations');
+    }
+
+    return response.json();
+}
+
+/**
+ * Merge partial species results into a species map
+ * Sightings are de-duplicated by checklist; a species is rare if any part says so,
+ * and its primary data tracks the most recent sighting
+ * @param {Map} speciesMap - Species code -> bird object (updated in place)
+ * @param {array} partialBirds - Bird objects from one part of the route
+ */
+function mergeBirds(speciesMap, partialBirds) {
+    for (const bird of partialBirds) {
+        const existing = speciesMap.get(bird.speciesCode);
+        if (!existing) {
+            speciesMap.set(bird.speciesCode, { ...bird, sightings: [...bird.sightings] });
+            continue;
+        }
+
+        // Replace rather than mutate, so subscribers see a changed object
+        const merged = { ...existing, sightings: [...existing.sightings] };
+        const seenChecklists = new Set(merged.sightings.map(s => s.subId));
+        for (const sighting of bird.sightings) {
+            if (!seenChecklists.has(sighting.subId)) {
+                merged.sightings.push(sighting);
+            }
+        }
+        merged.sightings.sort((a, b) => new Date(b.obsDt) - new Date(a.obsDt));
+
+        if (bird.rarity === 'rare') {
+            merged.rarity = 'rare';
+        }
+
+        if (bird.obsDt > merged.obsDt) {
+            Object.assign(merged, {
+                obsDt: bird.obsDt,
+                lat: bird.lat,
+                lng: bird.lng,
+                howMany: bird.howMany,
+                locName: bird.locName,
+                locId: bird.locId,
+                subId: bird.subId
+            });
+        }
+
+        speciesMap.set(bird.speciesCode, merged);
+    }
+}
+
+/**
+ * Build the query string shared by the bird and hotspot endpoints
+ */
+function buildBirdQuery(sampling, days, anchorDate) {
+    const params = {
+        coords: JSON.stringify(sampling.points.map(([lat, lng]) => [roundCoord(lat), roundCoord(lng)])),
+        radius: Math.round(sampling.radiusKm * 10) / 10
+    };
+    if (days) {
+        params.days = days;
+    }
+    if (anchorDate) {
+        params.date = anchorDate;
+        // The window can't pass today; send the local date so the server's
+        // window matches the one sightings are filtered by (see state.js)
+        params.today = getLocalDateString();
+    }
+    return new URLSearchParams(params);
+}
+
+/**
+ * Get today's date as YYYY-MM-DD in local time
+ */
+function getLocalDateString() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Round a coordinate to 4 decimals (~10 m) to keep query URLs short
+ */
+function roundCoord(value) {
+    return Math.round(value * 10000) / 10000;
 }
 
 /**
@@ -295,31 +500,14 @@ export function formatObservationDate(dateStr) {
 }
 
 /**
- * Calculate approximate location description along route
- * @param {object} bird - Bird observation with lat/lng
+ * Describe where along the route a bird or sighting is
+ * @param {object} bird - Bird or sighting with lat/lng, and routeMile if already known
  * @param {array} routeCoordinates - Route coordinates
- * @param {number} totalDistance - Total route distance in meters
  * @returns {string} Location description
  */
-export function getLocationDescription(bird, routeCoordinates, totalDistance) {
-    // Find closest point on route
-    let minDist = Infinity;
-    let closestIndex = 0;
-
-    for (let i = 0; i < routeCoordinates.length; i++) {
-        const [lat, lng] = routeCoordinates[i];
-        const dist = Math.sqrt(
-            Math.pow(bird.lat - lat, 2) + Math.pow(bird.lng - lng, 2)
-        );
-        if (dist < minDist) {
-            minDist = dist;
-            closestIndex = i;
-        }
-    }
-
-    // Calculate approximate mile marker
-    const progress = closestIndex / routeCoordinates.length;
-    const miles = (totalDistance / 1609.344) * progress;
+export function getLocationDescription(bird, routeCoordinates) {
+    // Distance along the route to the closest point, projected onto the nearest segment
+    const miles = bird.routeMile ?? getDistanceAlongRoute(routeCoordinates, bird.lat, bird.lng);
 
     if (miles < 1) {
         return 'Near start';
@@ -0,0 +1,235 @@
+/**
+ * BirdRide - FIT Parser
+ * Decodes Garmin/Wahoo FIT activity and course files into normalized route data
+ *
+ * Only the messages needed for a route are read (course, record, event);
+ * everything else is skipped using its definition message.
+ */
+
+import { buildRouteFromSegments } from './routeService.js';
+
+// FIT global message numbers
+const MESG_COURSE = 31;
+const MESG_RECORD = 20;
+const MESG_EVENT = 21;
+
+// Field numbers
+const FIELD_TIMESTAMP = 253;
+const RECORD_POSITION_LAT = 0;
+const RECORD_POSITION_LONG = 1;
+const RECORD_ALTITUDE = 2;
+const RECORD_ENHANCED_ALTITUDE = 78;
+const COURSE_NAME = 5;
+const EVENT_EVENT = 0;
+const EVENT_EVENT_TYPE = 1;
+
+// Event values: timer stops split the track into segments
+const EVENT_TIMER = 0;
+const EVENT_TYPE_STOP = 1;
+const EVENT_TYPE_STOP_ALL = 4;
+
+// FIT timestamps count seconds from 1989-12-31T00:00:00Z
+const FIT_EPOCH_OFFSET = 631065600;
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+// Base types: [size in bytes, DataView getter, invalid value]
+const BASE_TYPES = {
+    0: [1, 'getUint8', 0xFF],          // enum
+    1: [1, 'getInt8', 0x7F],           // sint8
+    2: [1, 'getUint8', 0xFF],          // uint8
+    3: [2, 'getInt16', 0x7FFF],        // sint16
+    4: [2, 'getUint16', 0xFFFF],       // uint16
+    5: [4, 'getInt32', 0x7FFFFFFF],    // sint32
+    6: [4, 'getUint32', 0xFFFFFFFF],   // uint32
+    8: [4, 'getFloat32', null],        // float32
+    9: [8, 'getFloat64', null],        // float64
+    10: [1, 'getUint8', 0],            // uint8z
+    11: [2, 'getUint16', 0],           // uint16z
+    12: [4, 'getUint32', 0],           // uint32z
+    13: [1, 'getUint8', 0xFF],         // byte
+};
+const BASE_TYPE_STRING = 7;
+
+/**
+ * Check whether a buffer starts with a FIT file header
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean} True if the ".FIT" signature is present
+ */
+export function isFitFile(bytes) {
+    return bytes.length >= 12 &&
+        (bytes[0] === 12 || bytes[0] === 14) &&
+        String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]) === '.FIT';
+}
+
+/**
+ * Parse a FIT file into normalized route data
+ * @param {ArrayBuffer} buffer - FIT file contents
+ * @param {string} defaultName - Name to use when the file has no course name
+ * @returns {object} Normalized route data (same shape as /api/route/:id)
+ */
+export function parseFit(buffer, defaultName = '') {
+    const bytes = new Uint8Array(buffer);
+    if (!isFitFile(bytes)) {
+        throw new Error('File is not a valid FIT file');
+    }
+
+    const view = new DataView(buffer);
+    const headerSize = bytes[0];
+    const dataSize = view.getUint32(4, true);
+    const end = Math.min(headerSize + dataSize, bytes.length);
+
+    const definitions = new Map();
+    const segments = [];
+    let currentSegment = [];
+    let courseName = '';
+    let lastTimestamp = null;
+    let offset = headerSize;
+
+    while (offset < end) {
+        const header = bytes[offset++];
+
+        // Compressed timestamp header: data message with a 5-bit time offset
+        if (header & 0x80) {
+            const definition = definitions.get((header >> 5) & 0x03);
+            if (!definition) throw new Error('FIT file is corrupt (undefined message type)');
+
+            const timeOffset = header & 0x1F;
+            if (lastTimestamp !== null) {
+                const lastOffset = lastTimestamp % 0x20;
+                let timestamp = lastTimestamp - lastOffset + timeOffset;
+                if (timeOffset < lastOffset) timestamp += 0x20;
+                lastTimestamp = timestamp;
+            }
+
+            const fields = readDataMessage(view, offset, definition);
+            offset += definition.size;
+            if (lastTimestamp !== null && !fields.has(FIELD_TIMESTAMP)) {
+                fields.set(FIELD_TIMESTAMP, lastTimestamp);
+            }
+            handleMessage(definition.globalNum, fields);
+            continue;
+        }
+
+        // Definition message
+        if (header & 0x40) {
+            const hasDeveloperData = (header & 0x20) !== 0;
+            const littleEndian = bytes[offset + 1] === 0;
+            const globalNum = view.getUint16(offset + 2, littleEndian);
+            const fieldCount = bytes[offset + 4];
+            offset += 5;
+
+            const fieldDefs = [];
+            let size = 0;
+            for (let i = 0; i < fieldCount; i++) {
+                const fieldDef = {
+                    num: bytes[offset],
+                    size: bytes[offset + 1],
+                    baseType: bytes[offset + 2] & 0x1F
+                };
+                fieldDefs.push(fieldDef);
+                size += fieldDef.size;
+                offset += 3;
+            }
+
+            // Developer fields are skipped, but their size still counts
+            if (hasDeveloperData) {
+                const devFieldCount = bytes[offset++];
+                for (let i = 0; i < devFieldCount; i++) {
+                    size += bytes[offset + 1];
+                    offset += 3;
+                }
+            }
+
+            definitions.set(header & 0x0F, { globalNum, littleEndian, fields: fieldDefs, size });
+            continue;
+        }
+
+        // Normal data message
+        const definition = definitions.get(header & 0x0F);
+        if (!definition) throw new Error('FIT file is corrupt (undefined message type)');
+
+        const fields = readDataMessage(view, offset, definition);
+        offset += definition.size;
+        if (fields.has(FIELD_TIMESTAMP)) {
+            lastTimestamp = fields.get(FIELD_TIMESTAMP);
+        }
+        handleMessage(definition.globalNum, fields);
+    }
+
+    if (currentSegment.length > 0) {
+        segments.push(currentSegment);
+    }
+
+    if (segments.length === 0) {
+        throw new Error('FIT file has no GPS records');
+    }
+
+    return buildRouteFromSegments({
+        name: courseName || defaultName,
+        segments
+    });
+
+    /**
+     * Collect route data from a decoded message
+     */
+    function handleMessage(globalNum, fields) {
+        if (globalNum === MESG_RECORD) {
+            const lat = fields.get(RECORD_POSITION_LAT);
+            const lng = fields.get(RECORD_POSITION_LONG);
+            if (lat == null || lng == null) return;
+
+            const altitude = fields.get(RECORD_ENHANCED_ALTITUDE) ?? fields.get(RECORD_ALTITUDE);
+            const timestamp = fields.get(FIELD_TIMESTAMP);
+
+            currentSegment.push({
+                lat: lat * SEMICIRCLES_TO_DEGREES,
+                lng: lng * SEMICIRCLES_TO_DEGREES,
+                ele: altitude != null ? altitude / 5 - 500 : null,
+                time: timestamp != null ? new Date((timestamp + FIT_EPOCH_OFFSET) * 1000) : null
+            });
+        } else if (globalNum === MESG_EVENT) {
+            const eventType = fields.get(EVENT_EVENT_TYPE);
+            const isTimerStop = fields.get(EVENT_EVENT) === EVENT_TIMER &&
+                (eventType === EVENT_TYPE_STOP || eventType === EVENT_TYPE_STOP_ALL);
+            if (isTimerStop && currentSegment.length > 0) {
+                segments.push(currentSegment);
+                currentSegment = [];
+            }
+        } else if (globalNum === MESG_COURSE) {
+            courseName = fields.get(COURSE_NAME) || courseName;
+        }
+    }
+}
+
+/**
+ * Read the fields of a data message
+ * Array fields and 64-bit types are skipped; invalid values are omitted
+ * @param {DataView} view - File contents
+ * @param {number} offset - Start of the message body
+ * @param {object} definition - Definition for this local message type
+ * @returns {Map} Field number -> value
+ */
+function readDataMessage(view, offset, definition) {
+    const fields = new Map();
+
+    for (const field of definition.fields) {
+        if (field.baseType === BASE_TYPE_STRING) {
+            const raw = new Uint8Array(view.buffer, offset, field.size);
+            const nul = raw.indexOf(0);
+            const value = new TextDecoder().decode(nul === -1 ? raw : raw.subarray(0, nul));
+            if (value) fields.set(field.num, value);
+        } else {
+            const baseType = BASE_TYPES[field.baseType];
+            if (baseType && baseType[0] === field.size) {
+                const [, getter, invalid] = baseType;
+                const value = view[getter](offset, definition.littleEndian);
+                if (value !== invalid && !Number.isNaN(value)) {
+                    fields.set(field.num, value);
+                }
+            }
+        }
+        offset += field.size;
+    }
+
+    return fields;
+}
@@ -0,0 +1,96 @@
+/**
+ * BirdRide - GeoJSON Parser
+ * Parses GeoJSON LineString / MultiLineString exports (e.g. from QGIS) into normalized route data
+ */
+
+import { buildRouteFromSegments } from './routeService.js';
+
+/**
+ * Parse a GeoJSON document into normalized route data
+ * Every LineString and every part of a MultiLineString becomes a segment;
+ * other geometry types (points, polygons) are ignored
+ * @param {string} text - GeoJSON file contents
+ * @param {string} defaultName - Name to use when no feature has a name property
+ * @returns {object} Normalized route data (same shape as /api/route/:id)
+ */
+export function parseGeoJson(text, defaultName = '') {
+    let geojson;
+    try {
+        geojson = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid GeoJSON');
+    }
+
+    const lines = [];
+    collectLines(geojson, null, lines);
+
+    if (lines.length === 0) {
+        throw new Error('GeoJSON file has no LineString geometry');
+    }
+
+    const named = lines.find(line => line.properties?.name);
+
+    return buildRouteFromSegments({
+        name: named?.properties.name || defaultName,
+        description: named?.properties.description || '',
+        segments: lines.map(line => line.coordinates.map(parsePosition))
+    });
+}
+
+/**
+ * Walk a GeoJSON object collecting line coordinate arrays
+ * @param {object} obj - FeatureCollection, Feature, or geometry
+ * @param {object|null} properties - Properties of the enclosing feature
+ * @param {array} lines - Accumulator of { coordinates, properties }
+ */
+function collectLines(obj, properties, lines) {
+    if (!obj || typeof obj !== 'object') return;
+
+    switch (obj.type) {
+        case 'FeatureCollection':
+            for (const feature of obj.features || []) {
+                collectLines(feature, null, lines);
+            }
+            break;
+        case 'Feature':
+            collectLines(obj.geometry, obj.properties || null, lines);
+            break;
+        case 'GeometryCollection':
+            for (const geometry of obj.geometries || []) {
+                collectLines(geometry, properties, lines);
+            }
+            break;
+        case 'LineString':
+            if (obj.coordinates?.length > 0) {
+                lines.push({ coordinates: obj.coordinates, properties });
+            }
+            break;
+        case 'MultiLineString':
+            for (const coordinates of obj.coordinates || []) {
+                if (coordinates.length > 0) {
+                    lines.push({ coordinates, properties });
+                }
+            }
+            break;
+    }
+}
+
+/**
+ * Parse a GeoJSON position ([lng, lat] or [lng, lat, elevation])
+ * @param {array} position - GeoJSON position
+ * @returns {object} { lat, lng, ele, time }
+ */
+function parsePosition(position) {
+    const [lng, lat, ele] = position;
+
+    if (typeof lat !== 'number' || typeof lng !== 'number') {
+        throw new Error('GeoJSON file contains a position without valid coordinates');
+    }
+
+    return {
+        lat,
+        lng,
+        ele: typeof ele === 'number' ? ele : null,
+        time: null
+    };
+}
@@ -0,0 +1,92 @@
+/**
+ * BirdRide - GPX Parser
+ * Parses GPX files (Komoot, Strava, Garmin exports) into normalized route data
+ */
+
+import { buildRouteFromSegments } from './routeService.js';
+import { parseXml, findAll, findFirst, directChild, getText, getNumber, getDate } from '../utils/xml.js';
+
+/**
+ * Parse a GPX document into normalized route data
+ * Uses tracks if present, then routes, then waypoints as a last resort
+ * @param {string} text - GPX file contents
+ * @param {string} defaultName - Name to use when the GPX has none (e.g. the file name)
+ * @returns {object} Normalized route data (same shape as /api/route/:id)
+ */
+export function parseGpx(text, defaultName = '') {
+    const doc = parseXml(text, 'GPX');
+
+    if (!findFirst(doc, 'gpx')) {
+        throw new Error('File is not a valid GPX document');
+    }
+
+    // Tracks: one segment per <trkseg>, across all <trk> elements
+    let segments = findAll(doc, 'trkseg')
+        .map(seg => findAll(seg, 'trkpt').map(parsePoint))
+        .filter(points => points.length > 0);
+
+    // Planned routes: one segment per <rte>
+    if (segments.length === 0) {
+        segments = findAll(doc, 'rte')
+            .map(rte => findAll(rte, 'rtept').map(parsePoint))
+            .filter(points => points.length > 0);
+    }
+
+    // Waypoint-only files: connect the waypoints in file order
+    if (segments.length === 0) {
+        const waypoints = findAll(doc, 'wpt').map(parsePoint);
+        if (waypoints.length > 0) {
+            segments = [waypoints];
+        }
+    }
+
+    if (segments.length === 0) {
+        throw new Error('GPX file has no tracks, routes or waypoints');
+    }
+
+    return buildRouteFromSegments({
+        name: getName(doc) || defaultName,
+        description: getText(findFirst(doc, 'desc')),
+        segments
+    });
+}
+
+/**
+ * Parse a <trkpt>, <rtept> or <wpt> element
+ * @param {Element} el - Point element
+ * @returns {object} { lat, lng, ele, time }
+ */
+function parsePoint(el) {
+    const lat = parseFloat(el.getAttribute('lat'));
+    const lng = parseFloat(el.getAttribute('lon'));
+
+    if (isNaN(lat) || isNaN(lng)) {
+        throw new Error('GPX file contains a point without valid coordinates');
+    }
+
+    return {
+        lat,
+        lng,
+        ele: getNumber(findFirst(el, 'ele')),
+        time: getDate(findFirst(el, 'time'))
+    };
+}
+
+/**
+ * Get the route name from <metadata><name>, then <trk>/<rte> names
+ */
+function getName(doc) {
+    const metadata = findFirst(doc, 'metadata');
+    const candidates = [
+        metadata && findFirst(metadata, 'name'),
+        ...findAll(doc, 'trk').map(trk => directChild(trk, 'name')),
+        ...findAll(doc, 'rte').map(rte => directChild(rte, 'name'))
+    ];
+
+    for (const el of candidates) {
+        const name = getText(el);
+        if (name) return name;
+    }
+    return '';
+}
+
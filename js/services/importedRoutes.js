@@ -0,0 +1,84 @@
+/**
+ * BirdRide - Imported Routes Service
+ * LocalStorage-based store for routes loaded from files, so they can be
+ * reopened from history and from /route/:id URLs like RideWithGPS routes
+ */
+
+const STORAGE_KEY = 'birdride_imported_routes';
+const MAX_IMPORTED = 10;
+const ID_PREFIX = 'file-';
+
+/**
+ * Check if a route ID refers to an imported file route
+ * @param {string|number} routeId - Route ID
+ * @returns {boolean} True for imported route IDs
+ */
+export function isImportedRouteId(routeId) {
+    return String(routeId).startsWith(ID_PREFIX);
+}
+
+/**
+ * Create a stable ID for an imported route from its track points
+ * The same file always produces the same ID, so re-importing it
+ * replaces the stored copy instead of duplicating it
+ * @param {array} trackPoints - Normalized track points ({ x, y })
+ * @returns {string} Route ID (e.g. "file-k2j9x1")
+ */
+export function createImportedRouteId(trackPoints) {
+    // djb2 string hash over rounded coordinates
+    let hash = 5381;
+    for (const pt of trackPoints) {
+        const key = `${pt.y.toFixed(5)},${pt.x.toFixed(5)};`;
+        for (let i = 0; i < key.length; i++) {
+            hash = ((hash << 5) + hash + key.charCodeAt(i)) >>> 0;
+        }
+    }
+    return `${ID_PREFIX}${hash.toString(36)}`;
+}
+
+/**
+ * Get all imported routes from localStorage
+ * @returns {array} Array of normalized route objects
+ */
+function getImportedRoutes() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEY);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.warn('Failed to read imported routes:', error);
+        return [];
+    }
+}
+
+/**
+ * Get an imported route by ID
+ * @param {string} routeId - Imported route ID
+ * @returns {object|null} Normalized route data or null if not stored
+ */
+export function getImportedRoute(routeId) {
+    return getImportedRoutes().find(route => route.id === routeId) || null;
+}
+
+/**
+ * Save an imported route
+ * Large tracks can outgrow the storage quota, so the oldest imported routes are
+ * dropped until the new one fits
+ * @param {object} routeData - Normalized route data with a file- ID
+ * @returns {boolean} False if the route is too large to store even on its own
+ */
+export function saveImportedRoute(routeData) {
+    if (!routeData || !isImportedRouteId(routeData.id)) return false;
+
+    const routes = getImportedRoutes().filter(route => route.id !== routeData.id);
+    routes.unshift(routeData);
+
+    for (let count = Math.min(routes.length, MAX_IMPORTED); count > 0; count--) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(routes.slice(0, count)));
+            return true;
+        } catch (error) {
+            console.warn(`Failed to save ${count} imported routes, dropping the oldest:`, error);
+        }
+    }
+    return false;
+}
@@ -0,0 +1,51 @@
+/**
+ * BirdRide - Life List Service
+ * LocalStorage-based store for the user's imported eBird life list
+ */
+
+import { parseLifeList } from './lifeListParser.js';
+import { createLifeList } from '../utils/lifeListTargets.js';
+
+const STORAGE_KEY = 'birdride_life_list';
+
+/**
+ * Import a life list file and save it
+ * @param {File} file - eBird CSV export
+ * @returns {Promise<object>} Life list (see createLifeList)
+ */
+export async function importLifeList(file) {
+    const species = parseLifeList(await file.text());
+    const stored = { species, fileName: file.name, importedAt: new Date().toISOString() };
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+        console.warn('Failed to save life list:', error);
+    }
+    return createLifeList(stored);
+}
+
+/**
+ * Load the saved life list
+ * @returns {object|null} Life list (see createLifeList) or null if none is saved
+ */
+export function loadLifeList() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEY);
+        return data ? createLifeList(JSON.parse(data)) : null;
+    } catch (error) {
+        console.warn('Failed to read life list:', error);
+        return null;
+    }
+}
+
+/**
+ * Remove the saved life list
+ */
+export function clearLifeList() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.warn('Failed to remove life list:', error);
+    }
+}
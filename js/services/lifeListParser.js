@@ -0,0 +1,95 @@
+/**
+ * BirdRide - eBird Life List Parser
+ * Reads the species from an eBird CSV export: the life list download from
+ * "My eBird", or the full "Download My Data" file (one row per observation)
+ */
+
+import { isCountableName, getSpeciesKey, getBaseCommonName } from '../utils/lifeListTargets.js';
+
+// Taxonomy categories that can't be added to a life list
+const UNCOUNTABLE_CATEGORIES = ['spuh', 'slash', 'hybrid', 'domestic'];
+
+/**
+ * Parse an eBird life list CSV
+ * @param {string} text - CSV file contents
+ * @returns {array} Species: [{ comName, sciName }], one per species, in file order
+ */
+export function parseLifeList(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) {
+        throw new Error('The file is empty');
+    }
+
+    const header = rows[0].map(name => name.trim().toLowerCase());
+    const comIndex = header.indexOf('common name');
+    const sciIndex = header.indexOf('scientific name');
+    const categoryIndex = header.indexOf('category');
+    if (comIndex === -1 || sciIndex === -1) {
+        throw new Error('Expected an eBird CSV export with "Common Name" and "Scientific Name" columns');
+    }
+
+    const species = new Map();
+    for (const row of rows.slice(1)) {
+        const comName = (row[comIndex] || '').trim();
+        const sciName = (row[sciIndex] || '').trim();
+        const category = categoryIndex !== -1 ? (row[categoryIndex] || '').trim().toLowerCase() : '';
+        if (!sciName || UNCOUNTABLE_CATEGORIES.includes(category) || !isCountableName(sciName)) {
+            continue;
+        }
+
+        // Subspecies and forms count as their species
+        const key = getSpeciesKey(sciName);
+        if (!species.has(key)) {
+            species.set(key, { comName: getBaseCommonName(comName), sciName: key });
+        }
+    }
+
+    if (species.size === 0) {
+        throw new Error('No species found in the file');
+    }
+    return Array.from(species.values());
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may contain
+ * commas, newlines and doubled quotes)
+ * @param {string} text - CSV text
+ * @returns {array} Rows, each an array of field strings (blank lines skipped)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field);
+    if (row.some(value => value !== '')) rows.push(row);
+    return rows;
+}
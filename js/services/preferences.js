@@ -0,0 +1,47 @@
+/**
+ * BirdRide - Preferences Service
+ * LocalStorage-based storage for user settings that persist across visits
+ */
+
+const STORAGE_KEY = 'birdride_preferences';
+
+/**
+ * Get all saved preferences
+ * @returns {object} Preference key -> value
+ */
+function getPreferences() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEY);
+        return data ? JSON.parse(data) : {};
+    } catch (error) {
+        console.warn('Failed to read preferences:', error);
+        return {};
+    }
+}
+
+/**
+ * Get a saved preference
+ * @param {string} key - Preference key
+ * @param {*} defaultValue - Value to return if the preference isn't set
+ * @returns {*} Saved value or defaultValue
+ */
+export function getPreference(key, defaultValue) {
+    const preferences = getPreferences();
+    return key in preferences ? preferences[key] : defaultValue;
+}
+
+/**
+ * Save a preference
+ * @param {string} key - Preference key
+ * @param {*} value - JSON-serializable value
+ */
+export function setPreference(key, value) {
+    const preferences = getPreferences();
+    preferences[key] = value;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+    } catch (error) {
+        console.warn('Failed to save preferences:', error);
+    }
+}
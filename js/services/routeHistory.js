@@ -22,7 +22,7 @@ export function getRouteHistory() {
 
 /**
  * Add a route to history
- * @param {object} routeData - Route data with id, name, distance
+ * @param {object} routeData - Route data with id, name, distance, and type ('route' | 'trip')
  */
 export function addToHistory(routeData) {
     if (!routeData || !routeData.id) return;
@@ -32,13 +32,14 @@ export function addToHistory(routeData) {
     // Create history entry
     const entry = {
         id: routeData.id,
+        type: routeData.type || 'route',
         name: routeData.name || `Route ${routeData.id}`,
         distance: routeData.distance || 0,
         timestamp: Date.now()
     };
 
-    // Remove existing entry with same ID (to move it to top)
-    const filteredHistory = history.filter(item => item.id !== entry.id);
+    // Remove existing entry with same ID and type (to move it to top)
+    const filteredHistory = history.filter(item => !(item.id === entry.id && getEntryType(item) === entry.type));
 
     // Add new entry at the beginning
     filteredHistory.unshift(entry);
@@ -57,10 +58,13 @@ export function addToHistory(routeData) {
 /**
  * Remove a route from history
  * @param {string|number} routeId - Route ID to remove
+ * @param {string} type - 'route' | 'trip'
  */
-export function removeFromHistory(routeId) {
+export function removeFromHistory(routeId, type = 'route') {
     const history = getRouteHistory();
-    const filteredHistory = history.filter(item => item.id !== routeId && item.id !== parseInt(routeId));
+    const filteredHistory = history.filter(item =>
+        getEntryType(item) !== type || (item.id !== routeId && item.id !== parseInt(routeId))
+    );
 
     try {
         localStorage.setItem(STORAGE_KEY, JSON.stringify(filteredHistory));
@@ -69,6 +73,15 @@ export function removeFromHistory(routeId) {
     }
 }
 
+/**
+ * Get the type of a history entry (entries saved before trips were supported are routes)
+ * @param {object} entry - History entry
+ * @returns {string} 'route' | 'trip'
+ */
+function getEntryType(entry) {
+    return entry.type || 'route';
+}
+
 /**
  * Clear all route history
  */
@@ -0,0 +1,139 @@
+/**
+ * BirdRide - Route Import Service
+ * Registry of route file parsers (GPX, TCX, FIT, GeoJSON)
+ *
+ * Each parser turns a file into the normalized route object returned by
+ * /api/route/:id, so imported routes work with extractRouteCoordinates,
+ * displayRoute and bird queries unchanged.
+ */
+
+import { parseGpx } from './gpxParser.js';
+import { parseTcx } from './tcxParser.js';
+import { parseFit, isFitFile } from './fitParser.js';
+import { parseGeoJson } from './geoJsonParser.js';
+
+// Registered parsers, checked in registration order
+const parsers = [];
+
+/**
+ * Register a route file parser
+ * @param {object} parser - Parser definition
+ * @param {string} parser.format - Format ID (e.g. 'gpx')
+ * @param {string} parser.label - Display name (e.g. 'GPX')
+ * @param {array} parser.extensions - File extensions including the dot (e.g. ['.gpx'])
+ * @param {boolean} parser.binary - True if parse() takes an ArrayBuffer instead of text
+ * @param {function} parser.detect - (bytes: Uint8Array, text: string) => boolean,
+ *                                   used when the extension is missing or unknown
+ * @param {function} parser.parse - (content, defaultName) => normalized route data
+ */
+export function registerRouteParser(parser) {
+    const existing = parsers.findIndex(p => p.format === parser.format);
+    if (existing !== -1) {
+        parsers.splice(existing, 1, parser);
+    } else {
+        parsers.push(parser);
+    }
+}
+
+/**
+ * Get accepted file extensions for file inputs
+ * @returns {array} Extensions (e.g. ['.gpx', '.tcx', ...])
+ */
+export function getAcceptedExtensions() {
+    return parsers.flatMap(p => p.extensions);
+}
+
+/**
+ * Get display names of the supported formats
+ * @returns {array} Labels (e.g. ['GPX', 'TCX', ...])
+ */
+export function getSupportedFormatLabels() {
+    return parsers.map(p => p.label);
+}
+
+/**
+ * Find the parser for a file, by extension first, then by content
+ * @param {string} fileName - File name
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} text - File contents decoded as text
+ * @returns {object|null} Parser definition or null if unsupported
+ */
+export function detectRouteParser(fileName, bytes, text) {
+    const lowerName = fileName.toLowerCase();
+    const byExtension = parsers.find(p => p.extensions.some(ext => lowerName.endsWith(ext)));
+    if (byExtension) {
+        return byExtension;
+    }
+    return parsers.find(p => p.detect(bytes, text)) || null;
+}
+
+/**
+ * Import a route file
+ * @param {File} file - File chosen or dropped by the user
+ * @returns {Promise<object>} Normalized route data
+ */
+export async function importRouteFile(file) {
+    const buffer = await file.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    const text = new TextDecoder().decode(bytes);
+
+    const parser = detectRouteParser(file.name, bytes, text);
+    if (!parser) {
+        throw new Error(`Unsupported file type. Use ${formatList(getSupportedFormatLabels())}.`);
+    }
+
+    const defaultName = file.name.replace(/\.[^.]+$/, '');
+    return parser.parse(parser.binary ? buffer : text, defaultName);
+}
+
+/**
+ * Join labels as "A, B, C or D"
+ */
+function formatList(labels) {
+    if (labels.length <= 1) return labels.join('');
+    return `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`;
+}
+
+/**
+ * Check the start of a text file for a marker, skipping XML prologs and whitespace
+ */
+function textStartsWith(text, pattern) {
+    return pattern.test(text.slice(0, 1000));
+}
+
+// Built-in parsers
+registerRouteParser({
+    format: 'gpx',
+    label: 'GPX',
+    extensions: ['.gpx'],
+    binary: false,
+    detect: (bytes, text) => textStartsWith(text, /<gpx[\s>]/),
+    parse: parseGpx,
+});
+
+registerRouteParser({
+    format: 'tcx',
+    label: 'TCX',
+    extensions: ['.tcx'],
+    binary: false,
+    detect: (bytes, text) => textStartsWith(text, /<TrainingCenterDatabase[\s>]/),
+    parse: parseTcx,
+});
+
+registerRouteParser({
+    format: 'fit',
+    label: 'FIT',
+    extensions: ['.fit'],
+    binary: true,
+    detect: (bytes) => isFitFile(bytes),
+    parse: parseFit,
+});
+
+registerRouteParser({
+    format: 'geojson',
+    label: 'GeoJSON',
+    extensions: ['.geojson', '.json'],
+    binary: false,
+    detect: (bytes, text) => textStartsWith(text, /^\s*\{[\s\S]*"type"\s*:\s*"(FeatureCollection|Feature|LineString|MultiLineString|GeometryCollection)"/),
+    parse: parseGeoJson,
+});
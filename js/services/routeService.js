@@ -3,6 +3,11 @@
  * Handles fetching route data from the backend API
  */
 
+import { isImportedRouteId, getImportedRoute, createImportedRouteId } from './importedRoutes.js';
+
+// Elevation changes smaller than this (meters) are treated as GPS noise
+const ELEVATION_NOISE_THRESHOLD = 3;
+
 /**
  * Parse a RideWithGPS URL to extract route ID
  * @param {string} url - RideWithGPS URL
@@ -43,6 +48,15 @@ export function isRideWithGPSUrl(input) {
  * @returns {Promise<object>} Route data
  */
 export async function fetchRoute(routeId) {
+    // Routes imported from files live in localStorage, not on RideWithGPS
+    if (isImportedRouteId(routeId)) {
+        const imported = getImportedRoute(routeId);
+        if (!imported) {
+            throw new Error('Imported route is no longer available');
+        }
+        return imported;
+    }
+
     const response = await fetch(`/api/route/${routeId}`);
 
     if (!response.ok) {
@@ -53,6 +67,118 @@ export async function fetchRoute(routeId) {
     return response.json();
 }
 
+/**
+ * Fetch recorded trip data from backend API
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<object>} Trip data (route shape plus type, ride_date, moving_time, duration)
+ */
+export async function fetchTrip(tripId) {
+    const response = await fetch(`/api/trip/${tripId}`);
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+        throw new Error(error.error || `Trip fetch failed: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Build a normalized route object from parsed track segments
+ * Produces the same shape as /api/route/:id so imported routes flow through
+ * displayRoute, bird queries and history unchanged
+ * @param {object} options - Route options
+ * @param {string} options.name - Route name
+ * @param {string} options.description - Route description
+ * @param {array} options.segments - Array of segments, each an array of
+ *                                   { lat, lng, ele, time } points
+ * @returns {object} Normalized route data
+ */
+export function buildRouteFromSegments({ name, description = '', segments }) {
+    const trackPoints = [];
+    let distance = 0;
+    let elevationGain = 0;
+    let elevationLoss = 0;
+
+    for (const segment of segments) {
+        let prev = null;
+        let elevationAnchor = null;
+
+        for (const point of segment) {
+            // Distance is only accumulated within a segment, so gaps
+            // between recorded segments don't count as ridden distance
+            if (prev) {
+                distance += haversineMeters(prev.lat, prev.lng, point.lat, point.lng);
+            }
+
+            if (typeof point.ele === 'number') {
+                if (elevationAnchor === null) {
+                    elevationAnchor = point.ele;
+                } else {
+                    const delta = point.ele - elevationAnchor;
+                    if (Math.abs(delta) >= ELEVATION_NOISE_THRESHOLD) {
+                        if (delta > 0) {
+                            elevationGain += delta;
+                        } else {
+                            elevationLoss -= delta;
+                        }
+                        elevationAnchor = point.ele;
+                    }
+                }
+            }
+
+            const trackPoint = { x: point.lng, y: point.lat, d: Math.round(distance) };
+            if (typeof point.ele === 'number') {
+                trackPoint.e = point.ele;
+            }
+            if (point.time) {
+                trackPoint.t = Math.floor(point.time.getTime() / 1000);
+            }
+            trackPoints.push(trackPoint);
+
+            prev = point;
+        }
+    }
+
+    if (trackPoints.length < 2) {
+        throw new Error('File does not contain a route with at least two points');
+    }
+
+    const first = trackPoints[0];
+    const last = trackPoints[trackPoints.length - 1];
+
+    return {
+        id: createImportedRouteId(trackPoints),
+        name: name || 'Imported Route',
+        description,
+        distance: Math.round(distance),
+        elevation_gain: Math.round(elevationGain),
+        elevation_loss: Math.round(elevationLoss),
+        first_lat: first.y,
+        first_lng: first.x,
+        last_lat: last.y,
+        last_lng: last.x,
+        start_location: 'Route Start',
+        track_points: trackPoints
+    };
+}
+
+/**
+ * Calculate distance between two points using Haversine formula (in meters)
+ */
+function haversineMeters(lat1, lng1, lat2, lng2) {
+    const R = 6371000; // Earth's radius in meters
+    const toRad = deg => deg * (Math.PI / 180);
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
 /**
  * Extract route coordinates for mapping
  * @param {object} routeData - Route data from API
@@ -92,28 +218,81 @@ export function calculateRouteBounds(coordinates) {
 
 /**
  * Sample points along a route for bird data queries
- * @param {array} coordinates - Route coordinates
- * @param {number} maxPoints - Maximum number of sample points
- * @returns {array} Sampled coordinates
+ *
+ * Points are placed by distance along the route (not by track point index), so
+ * dense and sparse sections are treated alike. Each sample's search circle of
+ * `radiusKm` covers the full corridor of half-width `corridorKm` for
+ * sqrt(radius² - corridor²) km either side of it; samples are spaced so these
+ * stretches touch. If that needs more than `maxPoints` samples, the spacing is
+ * stretched and the uncovered stretches are reported as gaps.
+ *
+ * @param {array} coordinates - Route coordinates ([lat, lng])
+ * @param {object} options - Sampling options
+ * @param {number} options.radiusKm - Search radius around each sample point (km)
+ * @param {number} options.corridorKm - Half-width of the corridor to cover (km), less than radiusKm
+ * @param {number} options.maxPoints - Maximum number of sample points
+ * @returns {object} { points, spacingKm, routeKm, coveredKm, gaps: [{ startKm, endKm }] }
  */
-export function sampleRoutePoints(coordinates, maxPoints = 10) {
-    if (coordinates.length <= maxPoints) {
-        return coordinates;
+export function sampleRoutePoints(coordinates, { radiusKm = 2.5, corridorKm = 0, maxPoints = 40 } = {}) {
+    if (!coordinates || coordinates.length === 0) {
+        return { points: [], spacingKm: 0, routeKm: 0, coveredKm: 0, gaps: [] };
+    }
+
+    // Cumulative distance along the route at each coordinate
+    const cumulative = [0];
+    for (let i = 1; i < coordinates.length; i++) {
+        const [lat1, lng1] = coordinates[i - 1];
+        const [lat2, lng2] = coordinates[i];
+        cumulative.push(cumulative[i - 1] + haversineMeters(lat1, lng1, lat2, lng2) / 1000);
+    }
+    const routeKm = cumulative[cumulative.length - 1];
+
+    if (routeKm === 0) {
+        return { points: [coordinates[0]], spacingKm: 0, routeKm: 0, coveredKm: 0, gaps: [] };
     }
 
-    const step = Math.floor(coordinates.length / maxPoints);
-    const sampled = [];
+    // Along-route distance each sample covers on either side, across the whole corridor
+    if (corridorKm >= radiusKm) {
+        throw new Error('Search radius must be wider than the corridor');
+    }
+    const coverKm = Math.sqrt(radiusKm * radiusKm - corridorKm * corridorKm);
+
+    const neededPoints = Math.ceil(routeKm / (2 * coverKm));
+    const count = Math.min(neededPoints, maxPoints);
+    const spacingKm = routeKm / count;
+
+    // Samples sit in the middle of equal stretches of route
+    const points = [];
+    const positions = [];
+    let segment = 0;
+    for (let i = 0; i < count; i++) {
+        const target = (i + 0.5) * spacingKm;
+        while (segment < cumulative.length - 2 && cumulative[segment + 1] < target) {
+            segment++;
+        }
 
-    for (let i = 0; i < coordinates.length; i += step) {
-        sampled.push(coordinates[i]);
+        const segmentKm = cumulative[segment + 1] - cumulative[segment];
+        const t = segmentKm > 0 ? (target - cumulative[segment]) / segmentKm : 0;
+        const [lat1, lng1] = coordinates[segment];
+        const [lat2, lng2] = coordinates[segment + 1];
+        points.push([lat1 + t * (lat2 - lat1), lng1 + t * (lng2 - lng1)]);
+        positions.push(target);
     }
 
-    // Always include the last point
-    if (sampled[sampled.length - 1] !== coordinates[coordinates.length - 1]) {
-        sampled.push(coordinates[coordinates.length - 1]);
+    // Uncovered stretches between (and outside) the samples' coverage
+    const gaps = [];
+    let coveredUntil = 0;
+    for (const position of [...positions, routeKm + coverKm]) {
+        const gapEnd = Math.min(position - coverKm, routeKm);
+        if (gapEnd > coveredUntil + 1e-9) {
+            gaps.push({ startKm: coveredUntil, endKm: gapEnd });
+        }
+        coveredUntil = Math.max(coveredUntil, position + coverKm);
     }
 
-    return sampled;
+    const gapKm = gaps.reduce((sum, gap) => sum + (gap.endKm - gap.startKm), 0);
+
+    return { points, spacingKm, routeKm, coveredKm: routeKm - gapKm, gaps };
 }
 
 /**
@@ -123,3 +302,24 @@ export function formatDistance(meters) {
     const miles = meters / 1609.344;
     return `${Math.round(miles)} mi`;
 }
+
+/**
+ * Convert a duration in seconds to display string (e.g. "3h 12m")
+ */
+export function formatDuration(seconds) {
+    // Round before splitting so 59.5+ minutes carry into the hour
+    const totalMinutes = Math.round(seconds / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Format a trip's ride date (YYYY-MM-DD) for display
+ */
+export function formatRideDate(rideDate) {
+    // Parse as local date so the day doesn't shift with the timezone
+    const [year, month, day] = rideDate.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
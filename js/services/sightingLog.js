@@ -0,0 +1,84 @@
+/**
+ * BirdRide - Sighting Log Service
+ * LocalStorage-based log of birds the user saw on their rides, kept per route
+ */
+
+const STORAGE_KEY = 'birdride_sighting_log';
+const MAX_ENTRIES = 2000;
+
+/**
+ * Get the key a route's sightings are logged under
+ * Routes and trips have separate ID spaces, so the type is part of the key
+ * @param {object} routeData - Route data with id and type ('route' | 'trip')
+ * @returns {string} e.g. 'route:12345' or 'trip:678'
+ */
+export function getRouteLogKey(routeData) {
+    return `${routeData.type === 'trip' ? 'trip' : 'route'}:${routeData.id}`;
+}
+
+/**
+ * Get all logged sightings from localStorage
+ * @returns {array} Logged sightings, most recent first
+ */
+function getSightingLog() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEY);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.warn('Failed to read sighting log:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the sighting log to localStorage
+ * @param {array} log - Logged sightings, most recent first
+ */
+function saveSightingLog(log) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(log.slice(0, MAX_ENTRIES)));
+    } catch (error) {
+        console.warn('Failed to save sighting log:', error);
+    }
+}
+
+/**
+ * Get the sightings logged on a route
+ * @param {object} routeData - Route data with id and type
+ * @returns {array} Logged sightings, most recent first
+ */
+export function getLoggedSightings(routeData) {
+    if (!routeData || !routeData.id) return [];
+
+    const routeKey = getRouteLogKey(routeData);
+    return getSightingLog().filter(entry => entry.routeKey === routeKey);
+}
+
+/**
+ * Log a sighting on a route
+ * @param {object} routeData - Route data with id and type
+ * @param {object} sighting - { speciesCode, comName, sciName, observedAt (ms), lat, lng,
+ *                            routeMile, locationSource ('device' | 'route'), count, note }
+ * @returns {object} The logged entry, with id and routeKey
+ */
+export function logSighting(routeData, sighting) {
+    const entry = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        routeKey: getRouteLogKey(routeData),
+        ...sighting
+    };
+
+    const log = getSightingLog();
+    log.push(entry);
+    log.sort((a, b) => b.observedAt - a.observedAt);
+    saveSightingLog(log);
+    return entry;
+}
+
+/**
+ * Remove a logged sighting
+ * @param {string} entryId - Logged sighting ID
+ */
+export function removeLoggedSighting(entryId) {
+    saveSightingLog(getSightingLog().filter(entry => entry.id !== entryId));
+}
@@ -0,0 +1,80 @@
+/**
+ * BirdRide - TCX Parser
+ * Parses Garmin Training Center (TCX) activities and courses into normalized route data
+ */
+
+import { buildRouteFromSegments } from './routeService.js';
+import { parseXml, findAll, findFirst, directChild, getText, getNumber, getDate } from '../utils/xml.js';
+
+/**
+ * Parse a TCX document into normalized route data
+ * Each <Track> (one per lap in activities) becomes a segment
+ * @param {string} text - TCX file contents
+ * @param {string} defaultName - Name to use when the TCX has none (e.g. the file name)
+ * @returns {object} Normalized route data (same shape as /api/route/:id)
+ */
+export function parseTcx(text, defaultName = '') {
+    const doc = parseXml(text, 'TCX');
+
+    if (!findFirst(doc, 'TrainingCenterDatabase')) {
+        throw new Error('File is not a valid TCX document');
+    }
+
+    const segments = findAll(doc, 'Track')
+        .map(track => findAll(track, 'Trackpoint').map(parseTrackpoint).filter(Boolean))
+        .filter(points => points.length > 0);
+
+    if (segments.length === 0) {
+        throw new Error('TCX file has no track points with positions');
+    }
+
+    return buildRouteFromSegments({
+        name: getName(doc) || defaultName,
+        description: getText(findFirst(doc, 'Notes')),
+        segments
+    });
+}
+
+/**
+ * Parse a <Trackpoint> element
+ * Trackpoints without a <Position> (e.g. indoor or paused samples) are skipped
+ * @param {Element} el - Trackpoint element
+ * @returns {object|null} { lat, lng, ele, time } or null if it has no position
+ */
+function parseTrackpoint(el) {
+    const position = findFirst(el, 'Position');
+    if (!position) return null;
+
+    const lat = getNumber(findFirst(position, 'LatitudeDegrees'));
+    const lng = getNumber(findFirst(position, 'LongitudeDegrees'));
+    if (lat === null || lng === null) return null;
+
+    return {
+        lat,
+        lng,
+        ele: getNumber(findFirst(el, 'AltitudeMeters')),
+        time: getDate(findFirst(el, 'Time'))
+    };
+}
+
+/**
+ * Get the route name from <Course><Name>, falling back to the activity sport
+ */
+function getName(doc) {
+    const course = findFirst(doc, 'Course');
+    if (course) {
+        const name = getText(directChild(course, 'Name'));
+        if (name) return name;
+    }
+
+    const activity = findFirst(doc, 'Activity');
+    if (activity) {
+        const sport = activity.getAttribute('Sport');
+        const started = getDate(directChild(activity, 'Id'));
+        if (sport && started) {
+            return `${sport} ${started.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+        }
+    }
+
+    return '';
+}
@@ -0,0 +1,83 @@
+/**
+ * BirdRide - Bird Groups
+ * Everyday bird groups ("raptors", "warblers") defined over eBird families and orders,
+ * and matching for the species/family/group filter
+ *
+ * Matching relies on the taxonomy fields added to /api/birds results
+ * (familySciName, order); birds without taxonomy belong to no group.
+ */
+
+export const BIRD_GROUPS = [
+    { id: 'waterfowl', label: 'Waterfowl', keywords: ['ducks', 'geese', 'swans'], families: ['Anatidae'] },
+    { id: 'gamebirds', label: 'Grouse, quail & allies', keywords: ['gamebirds', 'pheasants', 'turkeys'], families: ['Phasianidae', 'Odontophoridae', 'Cracidae'] },
+    { id: 'loons-grebes', label: 'Loons & grebes', keywords: [], families: ['Gaviidae', 'Podicipedidae'] },
+    { id: 'herons', label: 'Herons, ibises & allies', keywords: ['egrets', 'bitterns', 'wading birds'], families: ['Ardeidae', 'Threskiornithidae'] },
+    { id: 'rails-cranes', label: 'Rails & cranes', keywords: ['coots', 'gallinules'], families: ['Rallidae', 'Gruidae'] },
+    { id: 'shorebirds', label: 'Shorebirds', keywords: ['sandpipers', 'plovers', 'waders'], families: ['Charadriidae', 'Scolopacidae', 'Haematopodidae', 'Recurvirostridae', 'Jacanidae', 'Burhinidae', 'Glareolidae'] },
+    { id: 'gulls-terns', label: 'Gulls & terns', keywords: ['seabirds'], families: ['Laridae'] },
+    { id: 'raptors', label: 'Raptors', keywords: ['hawks', 'eagles', 'falcons', 'vultures', 'birds of prey'], orders: ['Accipitriformes', 'Falconiformes', 'Cathartiformes'] },
+    { id: 'owls', label: 'Owls', keywords: [], orders: ['Strigiformes'] },
+    { id: 'hummingbirds', label: 'Hummingbirds', keywords: [], families: ['Trochilidae'] },
+    { id: 'woodpeckers', label: 'Woodpeckers', keywords: ['flickers', 'sapsuckers'], families: ['Picidae'] },
+    { id: 'flycatchers', label: 'Flycatchers', keywords: ['kingbirds', 'phoebes', 'pewees'], families: ['Tyrannidae', 'Muscicapidae'] },
+    { id: 'corvids', label: 'Jays, crows & allies', keywords: ['corvids', 'ravens', 'magpies'], families: ['Corvidae'] },
+    { id: 'swallows', label: 'Swallows', keywords: ['martins'], families: ['Hirundinidae'] },
+    { id: 'thrushes', label: 'Thrushes', keywords: ['robins', 'bluebirds'], families: ['Turdidae'] },
+    { id: 'warblers', label: 'Warblers', keywords: ['wood-warblers'], families: ['Parulidae', 'Phylloscopidae', 'Acrocephalidae', 'Sylviidae', 'Cettiidae'] },
+    { id: 'sparrows', label: 'Sparrows & buntings', keywords: ['juncos', 'towhees'], families: ['Passerellidae', 'Emberizidae', 'Passeridae'] },
+    { id: 'blackbirds', label: 'Blackbirds & orioles', keywords: ['grackles', 'meadowlarks', 'cowbirds'], families: ['Icteridae'] },
+    { id: 'finches', label: 'Finches', keywords: ['goldfinches', 'grosbeaks', 'crossbills'], families: ['Fringillidae'] },
+];
+
+/**
+ * Check whether a bird belongs to a group
+ * @param {object} bird - Bird with familySciName and order
+ * @param {object} group - Entry of BIRD_GROUPS
+ * @returns {boolean} True if the bird's family or order is in the group
+ */
+export function isInGroup(bird, group) {
+    return (group.families || []).includes(bird.familySciName) ||
+        (group.orders || []).includes(bird.order);
+}
+
+/**
+ * Check whether a bird matches the species filter
+ * @param {object} bird - Bird object
+ * @param {object} filter - { type: 'group' | 'family' | 'species' | 'text', value }
+ * @returns {boolean} True if the bird matches
+ */
+export function matchesSpeciesFilter(bird, filter) {
+    switch (filter.type) {
+        case 'group': {
+            const group = getBirdGroup(filter.value);
+            return group ? isInGroup(bird, group) : false;
+        }
+        case 'family':
+            return bird.familyCode === filter.value;
+        case 'species':
+            return bird.speciesCode === filter.value;
+        default:
+            return matchesText(bird, filter.value);
+    }
+}
+
+/**
+ * Check whether any of a bird's names contains some text (case-insensitive)
+ * @param {object} bird - Bird object
+ * @param {string} text - Search text
+ * @returns {boolean} True if the common, scientific or family name contains the text
+ */
+export function matchesText(bird, text) {
+    const query = text.trim().toLowerCase();
+    return [bird.comName, bird.sciName, bird.familyComName, bird.familySciName]
+        .some(name => name && name.toLowerCase().includes(query));
+}
+
+/**
+ * Find a group by ID
+ * @param {string} id - Group ID
+ * @returns {object|null} Group or null
+ */
+export function getBirdGroup(id) {
+    return BIRD_GROUPS.find(group => group.id === id) || null;
+}
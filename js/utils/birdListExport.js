@@ -0,0 +1,117 @@
+/**
+ * BirdRide - Bird List Export
+ * Writes the filtered bird list as a CSV table, and as GPX waypoints alongside
+ * the route for loading onto a bike computer (Garmin, Wahoo)
+ *
+ * The CSV describes each species' latest qualifying sighting. GPX has one
+ * waypoint per species at its sighting closest to the route, the same spot the
+ * map marks, so a long list doesn't flood the device with points.
+ */
+
+import { formatCsv } from './csv.js';
+import { escapeXml } from './xml.js';
+
+const RARITY_LABELS = { rare: 'Notable', uncommon: 'Uncommon', common: 'Common' };
+
+const CSV_HEADER = [
+    'Common Name', 'Scientific Name', 'Rarity', 'Last Seen', 'Location', 'Latitude', 'Longitude',
+    'Route Mile', 'Miles From Route', 'Sightings', 'Checklist'
+];
+
+/**
+ * Write the bird list as CSV, one row per species
+ * @param {array} birds - Filtered birds (sightings carry routeMile and distanceFromRoute)
+ * @returns {string} CSV text with a header row
+ */
+export function formatBirdListCsv(birds) {
+    const rows = birds.map(bird => {
+        const latest = getLatestSighting(bird);
+        return [
+            bird.comName,
+            bird.sciName,
+            getRarityLabel(bird),
+            latest.obsDt,
+            latest.locName,
+            latest.lat.toFixed(6),
+            latest.lng.toFixed(6),
+            latest.routeMile != null ? latest.routeMile.toFixed(1) : '',
+            latest.distanceFromRoute != null ? latest.distanceFromRoute.toFixed(2) : '',
+            bird.sightings ? bird.sightings.length : 1,
+            latest.subId ? `https://ebird.org/checklist/${latest.subId}` : ''
+        ];
+    });
+    return formatCsv([CSV_HEADER, ...rows]);
+}
+
+/**
+ * Write the route as a GPX track with the birds as waypoints
+ * @param {object} route - Route data (name, and track_points with elevation in meters)
+ * @param {array} routeCoords - Array of [lat, lng] route coordinates
+ * @param {array} birds - Filtered birds
+ * @returns {string} GPX 1.1 document
+ */
+export function formatRouteGpx(route, routeCoords, birds) {
+    const name = escapeXml(route.name || 'BirdRide route');
+    const trackPoints = route.track_points || [];
+    const hasElevation = trackPoints.length === routeCoords.length;
+
+    const waypoints = [...birds]
+        .sort((a, b) => (a.routeMile ?? 0) - (b.routeMile ?? 0))
+        .map(bird => {
+            const details = [
+                getRarityLabel(bird),
+                `reported ${bird.obsDt}`,
+                bird.locName,
+                bird.routeMile != null ? `mile ${bird.routeMile.toFixed(1)}` : null
+            ].filter(Boolean).join(', ');
+            return `  <wpt lat="${bird.lat.toFixed(6)}" lon="${bird.lng.toFixed(6)}">
+    <name>${escapeXml(bird.comName)}</name>
+    <desc>${escapeXml(details)}</desc>
+    <type>${getRarityLabel(bird)}</type>
+  </wpt>`;
+        });
+
+    const points = routeCoords.map(([lat, lng], i) => {
+        const elevation = hasElevation ? trackPoints[i].e : null;
+        return typeof elevation === 'number'
+            ? `      <trkpt lat="${lat.toFixed(6)}" lon="${lng.toFixed(6)}"><ele>${elevation.toFixed(1)}</ele></trkpt>`
+            : `      <trkpt lat="${lat.toFixed(6)}" lon="${lng.toFixed(6)}"></trkpt>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="BirdRide" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${name}</name>
+    <desc>${birds.length} species reported along the route</desc>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${waypoints.join('\n')}
+  <trk>
+    <name>${name}</name>
+    <trkseg>
+${points.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+/**
+ * Get a bird's rarity as shown in the list
+ */
+export function getRarityLabel(bird) {
+    if (bird.insufficientData) {
+        return 'Not enough data';
+    }
+    return RARITY_LABELS[bird.rarity] || RARITY_LABELS.common;
+}
+
+/**
+ * Get a bird's most recent sighting
+ * @param {object} bird - Filtered bird
+ * @returns {object} Sighting (the bird itself if it has no sightings list)
+ */
+export function getLatestSighting(bird) {
+    const sightings = bird.sightings && bird.sightings.length > 0 ? bird.sightings : [bird];
+    return sightings.reduce((latest, sighting) => (sighting.obsDt > latest.obsDt ? sighting : latest));
+}
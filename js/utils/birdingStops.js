@@ -0,0 +1,192 @@
+/**
+ * BirdRide - Birding Stops
+ * Groups sightings by eBird location and ranks the locations as places to stop
+ *
+ * eBird's recent feed keeps only each species' latest sighting around a sample
+ * point, so the species a location shows in the results say more about when it
+ * was last birded than how rich it is. Locations that are eBird hotspots are
+ * therefore scored by the species ever reported there; other locations (mostly
+ * private yards) only have the sightings in the results to go on.
+ *
+ * Each notable species reported at a location raises its score, and the score
+ * fades as the location's latest sighting gets older, with a half-life of half
+ * the time window. Ages are measured from the newest sighting overall, so
+ * windows around a past ride date rank the same way as recent ones. Seasonal
+ * plans span several years of sightings, so they leave recency out.
+ */
+
+import { BIRD_GROUPS, isInGroup } from './birdGroups.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stops shown in the list and on the map
+const MAX_STOPS = 10;
+
+// Share each notable species adds to a location's score
+const NOTABLE_BOOST = 0.25;
+
+// Habitats recognized from location names, checked in order
+const HABITATS = [
+    { id: 'wetland', label: 'Wetland', keywords: ['marsh', 'wetland', 'wetlands', 'slough', 'swamp', 'bog', 'fen', 'estuary', 'lagoon'] },
+    { id: 'water', label: 'Lake & river', keywords: ['lake', 'reservoir', 'pond', 'river', 'creek', 'bay', 'harbor', 'beach', 'shore', 'dam'] },
+    { id: 'woodland', label: 'Woodland', keywords: ['forest', 'woods', 'woodland', 'grove'] },
+    { id: 'grassland', label: 'Grassland & farmland', keywords: ['prairie', 'grassland', 'meadow', 'farm', 'field', 'fields', 'ranch'] },
+    { id: 'park', label: 'Park & preserve', keywords: ['park', 'garden', 'gardens', 'cemetery', 'arboretum', 'preserve', 'refuge', 'sanctuary'] },
+];
+
+// Groups of water-dependent birds; a location where they dominate is treated as wetland
+const WATERBIRD_GROUPS = ['waterfowl', 'loons-grebes', 'herons', 'rails-cranes', 'shorebirds', 'gulls-terns'];
+
+/**
+ * Rank the locations in a bird list as birding stops
+ * @param {array} birds - Filtered birds (sightings carry routeMile and distanceFromRoute)
+ * @param {object} options - { limit, hotspots, halfLifeDays }: hotspots around the route
+ *                           (with numSpeciesAllTime), and the days after which a
+ *                           location's score is halved (null to ignore age)
+ * @returns {array} Stops, best first:
+ *   { id, locId, locName, lat, lng, routeMile, distanceFromRoute, habitat,
+ *     species: [{ index, speciesCode, comName, rarity, checklists, lastObsDt }],
+ *     notableCount, checklistCount, numSpeciesAllTime (null if not a hotspot), lastObsDt, score }
+ */
+export function findBirdingStops(birds, { limit = MAX_STOPS, hotspots = [], halfLifeDays = null } = {}) {
+    const stops = new Map();
+    const hotspotsById = new Map(hotspots.map(hotspot => [hotspot.locId, hotspot]));
+
+    birds.forEach((bird, index) => {
+        for (const sighting of bird.sightings || []) {
+            const id = getLocationKey(sighting);
+            if (!stops.has(id)) {
+                stops.set(id, {
+                    id,
+                    locId: sighting.locId || null,
+                    locName: sighting.locName || 'Unnamed location',
+                    lat: sighting.lat,
+                    lng: sighting.lng,
+                    routeMile: sighting.routeMile,
+                    distanceFromRoute: sighting.distanceFromRoute,
+                    speciesByCode: new Map(),
+                    checklists: new Set(),
+                    lastObsDt: null
+                });
+            }
+
+            const stop = stops.get(id);
+            stop.checklists.add(sighting.subId);
+            if (!stop.lastObsDt || sighting.obsDt > stop.lastObsDt) {
+                stop.lastObsDt = sighting.obsDt;
+            }
+
+            const species = stop.speciesByCode.get(bird.speciesCode);
+            if (species) {
+                species.checklists++;
+                if (sighting.obsDt > species.lastObsDt) {
+                    species.lastObsDt = sighting.obsDt;
+                }
+            } else {
+                stop.speciesByCode.set(bird.speciesCode, {
+                    index,
+                    speciesCode: bird.speciesCode,
+                    comName: bird.comName,
+                    rarity: bird.rarity || 'common',
+                    bird,
+                    checklists: 1,
+                    lastObsDt: sighting.obsDt
+                });
+            }
+        }
+    });
+
+    // Without a newest time every stop counts as fresh
+    const newest = halfLifeDays
+        ? Math.max(0, ...Array.from(stops.values(), stop => parseObsDate(stop.lastObsDt)))
+        : 0;
+
+    return Array.from(stops.values())
+        .map(stop => finalizeStop(stop, hotspotsById.get(stop.locId), newest, halfLifeDays))
+        .filter(stop => stop.species.length >= 2 || stop.notableCount > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Turn a collected location into a scored stop
+ * @param {object} stop - Location with speciesByCode and checklists
+ * @param {object|undefined} hotspot - The eBird hotspot at the location, if it is one
+ * @param {number} newest - Time of the newest sighting across all locations (ms), or 0 to ignore age
+ * @param {number|null} halfLifeDays - Days after which the score is halved
+ * @returns {object} Stop
+ */
+function finalizeStop(stop, hotspot, newest, halfLifeDays) {
+    const entries = Array.from(stop.speciesByCode.values());
+    const notableCount = entries.filter(s => s.rarity === 'rare').length;
+    const ageDays = newest && stop.lastObsDt ? (newest - parseObsDate(stop.lastObsDt)) / DAY_MS : 0;
+    const recency = ageDays > 0 ? Math.pow(0.5, ageDays / halfLifeDays) : 1;
+    const numSpeciesAllTime = hotspot ? hotspot.numSpeciesAllTime : null;
+    const richness = Math.max(numSpeciesAllTime || 0, entries.length);
+
+    // Notable species first, then the most reliably reported
+    entries.sort((a, b) =>
+        (b.rarity === 'rare') - (a.rarity === 'rare') ||
+        b.checklists - a.checklists ||
+        a.comName.localeCompare(b.comName)
+    );
+
+    return {
+        id: stop.id,
+        locId: stop.locId,
+        locName: stop.locName,
+        lat: stop.lat,
+        lng: stop.lng,
+        routeMile: stop.routeMile,
+        distanceFromRoute: stop.distanceFromRoute,
+        habitat: getHabitat(stop.locName, entries.map(s => s.bird)),
+        species: entries.map(({ bird, ...species }) => species),
+        notableCount,
+        checklistCount: stop.checklists.size,
+        numSpeciesAllTime,
+        lastObsDt: stop.lastObsDt,
+        score: richness * (1 + notableCount * NOTABLE_BOOST) * recency
+    };
+}
+
+/**
+ * Get the key sightings are grouped by: the eBird location ID when present,
+ * otherwise the location name and rounded coordinates
+ */
+function getLocationKey(sighting) {
+    if (sighting.locId) {
+        return sighting.locId;
+    }
+    return `${sighting.locName || ''}|${sighting.lat.toFixed(3)}|${sighting.lng.toFixed(3)}`;
+}
+
+/**
+ * Guess a location's habitat from its name, falling back to the birds seen there
+ * @param {string} locName - eBird location name
+ * @param {array} birds - Birds seen at the location
+ * @returns {object|null} { id, label } or null if unknown
+ */
+function getHabitat(locName, birds) {
+    const name = locName.toLowerCase();
+    const named = HABITATS.find(habitat =>
+        habitat.keywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(name))
+    );
+    if (named) {
+        return { id: named.id, label: named.label };
+    }
+
+    const waterGroups = BIRD_GROUPS.filter(group => WATERBIRD_GROUPS.includes(group.id));
+    const waterbirds = birds.filter(bird => waterGroups.some(group => isInGroup(bird, group)));
+    if (birds.length > 0 && waterbirds.length / birds.length >= 0.5) {
+        return { id: 'wetland', label: 'Wetland' };
+    }
+
+    return null;
+}
+
+/**
+ * Parse an eBird observation date ('YYYY-MM-DD HH:mm') to a timestamp
+ */
+function parseObsDate(obsDt) {
+    return obsDt ? Date.parse(obsDt.replace(' ', 'T')) || 0 : 0;
+}
@@ -0,0 +1,25 @@
+/**
+ * BirdRide - CSV Formatting
+ * Builds CSV text for the export downloads
+ */
+
+/**
+ * Format one CSV row, quoting fields that contain commas, quotes or newlines
+ * @param {array} fields - Field values (null and undefined become empty fields)
+ * @returns {string} CSV line without a line ending
+ */
+export function formatCsvRow(fields) {
+    return fields.map(value => {
+        const text = value == null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+/**
+ * Format rows as CSV text
+ * @param {array} rows - Rows, each an array of field values
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function formatCsv(rows) {
+    return rows.map(formatCsvRow).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,33 @@
+/**
+ * BirdRide - File Downloads
+ * Saves generated text (CSV, GPX) as a file from the browser
+ */
+
+/**
+ * Download text as a file
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - e.g. 'text/csv'
+ */
+export function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Turn a route name into a file name part
+ * @param {string} name - Route name
+ * @returns {string} Lowercase, dash-separated name (e.g. 'sunday-coast-loop')
+ */
+export function toFileNamePart(name) {
+    const slug = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug.slice(0, 60) || 'route';
+}
@@ -0,0 +1,245 @@
+/**
+ * BirdRide - eBird Checklists
+ * Groups the sightings logged on a ride into traveling checklists and writes
+ * them in eBird Record Format (extended) for eBird's checklist import
+ *
+ * Sightings are taken in the order they were logged. A checklist ends when the
+ * next sighting is on another day, more than an hour later, or would stretch
+ * the checklist past 5 miles (eBird's guideline for traveling counts). Each
+ * checklist covers the stretch of route between its sightings. When its logged
+ * times fall within a ride's recorded track, it is timed from when the track
+ * passed each end; otherwise (other routes, or a ride logged on another day)
+ * from the logged times.
+ */
+
+import { getPointAtDistance, getPositionAtDistance } from './routeGeometry.js';
+import { formatCsv } from './csv.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Limits of one checklist
+const MAX_CHECKLIST_MILES = 5;
+const MAX_GAP_MS = 60 * MINUTE_MS;
+
+// Traveling checklists need a distance, even when every bird was at one spot
+const MIN_DISTANCE_MILES = 0.1;
+
+/**
+ * Group logged sightings into traveling checklists
+ * @param {array} entries - Sightings logged on the route (see sightingLog.js)
+ * @param {object} options - { route, routeCoords, hotspots }; hotspots (with
+ *                           countryCode and subnational1Code) locate each checklist's region
+ * @returns {array} Checklists in time order:
+ *   { startTime (ms), durationMinutes, startMile, endMile, distanceMiles, lat, lng,
+ *     countryCode, stateCode, species: [{ comName, sciName, count, comments }] }
+ */
+export function groupChecklists(entries, { route, routeCoords, hotspots = [] }) {
+    const trackClock = createTrackClock(route, routeCoords);
+    const timed = entries
+        .map(entry => ({ entry, time: entry.observedAt }))
+        .sort((a, b) => a.time - b.time);
+
+    const groups = [];
+    let current = null;
+    for (const item of timed) {
+        const mile = item.entry.routeMile;
+        const fits = current &&
+            isSameDay(current.lastTime, item.time) &&
+            item.time - current.lastTime <= MAX_GAP_MS &&
+            Math.max(current.endMile, mile) - Math.min(current.startMile, mile) <= MAX_CHECKLIST_MILES;
+
+        if (fits) {
+            current.items.push(item);
+            current.lastTime = item.time;
+            current.startMile = Math.min(current.startMile, mile);
+            current.endMile = Math.max(current.endMile, mile);
+        } else {
+            current = { items: [item], lastTime: item.time, startMile: mile, endMile: mile };
+            groups.push(current);
+        }
+    }
+
+    return groups.map(group => finalizeChecklist(group, trackClock, routeCoords, hotspots));
+}
+
+/**
+ * Write checklists in eBird Record Format (extended): one row per species,
+ * no header row
+ * @param {array} checklists - Checklists from groupChecklists
+ * @param {string} routeName - Route name, used for location names and comments
+ * @returns {string} CSV text
+ */
+export function formatEbirdRecordCsv(checklists, routeName) {
+    const rows = [];
+    for (const checklist of checklists) {
+        const start = new Date(checklist.startTime);
+        const miles = checklist.endMile - checklist.startMile >= 0.05
+            ? `mi ${checklist.startMile.toFixed(1)}-${checklist.endMile.toFixed(1)}`
+            : `mi ${checklist.startMile.toFixed(1)}`;
+        const locationName = `${routeName} ${miles}`;
+        const comments = `Birds logged while cycling ${routeName} (${miles}) with BirdRide. ` +
+            'Not every bird was recorded.';
+
+        for (const species of checklist.species) {
+            const [genus, ...epithet] = (species.sciName || '').split(' ');
+            rows.push([
+                species.comName,
+                genus,
+                epithet.join(' '),
+                species.count,
+                species.comments,
+                locationName,
+                checklist.lat.toFixed(6),
+                checklist.lng.toFixed(6),
+                formatRecordDate(start),
+                formatRecordTime(start),
+                checklist.stateCode,
+                checklist.countryCode,
+                'Traveling',
+                1,
+                checklist.durationMinutes,
+                'N',
+                checklist.distanceMiles.toFixed(2),
+                '',
+                comments
+            ]);
+        }
+    }
+    return formatCsv(rows);
+}
+
+/**
+ * Build a checklist from a group of sightings
+ * @param {object} group - { items: [{ entry, time }], startMile, endMile }
+ * @param {object|null} trackClock - The route's recorded times (see createTrackClock)
+ * @param {array} routeCoords - Array of [lat, lng] route coordinates
+ * @param {array} hotspots - Hotspots around the route
+ * @returns {object} Checklist (see groupChecklists)
+ */
+function finalizeChecklist(group, trackClock, routeCoords, hotspots) {
+    const { items, startMile, endMile } = group;
+
+    // If the birds were logged during the recorded ride, the track says when the
+    // rider passed each end; otherwise use the logged times
+    const onTrack = trackClock &&
+        items[0].time >= trackClock.startTime &&
+        items[items.length - 1].time <= trackClock.endTime;
+    const trackStart = onTrack ? trackClock.getTime(startMile) : null;
+    const trackEnd = onTrack ? trackClock.getTime(endMile) : null;
+    const startTime = trackStart ?? items[0].time;
+    const endTime = trackEnd ?? items[items.length - 1].time;
+
+    // eBird plots traveling checklists at their start
+    const start = getPointAtDistance(routeCoords, items[0].entry.routeMile);
+    const region = findRegion(hotspots, start.lat, start.lng);
+
+    const species = new Map();
+    for (const { entry } of items) {
+        const existing = species.get(entry.speciesCode);
+        if (existing) {
+            existing.count += entry.count;
+            if (entry.note) existing.notes.push(entry.note);
+        } else {
+            species.set(entry.speciesCode, {
+                comName: entry.comName,
+                sciName: entry.sciName,
+                count: entry.count,
+                notes: entry.note ? [entry.note] : []
+            });
+        }
+    }
+
+    return {
+        startTime,
+        durationMinutes: Math.max(1, Math.round((endTime - startTime) / MINUTE_MS)),
+        startMile,
+        endMile,
+        distanceMiles: Math.max(endMile - startMile, MIN_DISTANCE_MILES),
+        lat: start.lat,
+        lng: start.lng,
+        countryCode: region.countryCode,
+        stateCode: region.stateCode,
+        species: Array.from(species.values(), ({ notes, ...rest }) => ({ ...rest, comments: notes.join('; ') }))
+    };
+}
+
+/**
+ * Make a lookup of when the rider passed a route mile, for routes whose track
+ * points carry recorded timestamps (trips and imported rides)
+ * @param {object} route - Route data with track_points
+ * @param {array} routeCoords - Array of [lat, lng] route coordinates, one per track point
+ * @returns {object|null} { startTime, endTime (ms), getTime: route mile -> time (ms) or null },
+ *                        or null when the route has no times
+ */
+function createTrackClock(route, routeCoords) {
+    const points = route.track_points || [];
+    const hasTimes = points.length > 0 &&
+        points.length === routeCoords.length &&
+        typeof points[0].t === 'number' &&
+        typeof points[points.length - 1].t === 'number';
+    if (!hasTimes) {
+        return null;
+    }
+
+    const getTime = (mile) => {
+        const { segmentIndex, t } = getPositionAtDistance(routeCoords, mile);
+        const t1 = points[segmentIndex].t;
+        const t2 = points[Math.min(segmentIndex + 1, points.length - 1)].t;
+        if (typeof t1 !== 'number' || typeof t2 !== 'number') {
+            return null;
+        }
+        return (t1 + (t2 - t1) * t) * 1000;
+    };
+    return { startTime: points[0].t * 1000, endTime: points[points.length - 1].t * 1000, getTime };
+}
+
+/**
+ * Find the country and state of a location from the nearest hotspot
+ * @param {array} hotspots - Hotspots with lat, lng, countryCode and subnational1Code
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {object} { countryCode, stateCode } (empty when no hotspot is known)
+ */
+function findRegion(hotspots, lat, lng) {
+    const lngScale = Math.cos(lat * Math.PI / 180);
+    let nearest = null;
+    let minDistance = Infinity;
+    for (const hotspot of hotspots) {
+        if (!hotspot.subnational1Code) continue;
+        const distance = (hotspot.lat - lat) ** 2 + ((hotspot.lng - lng) * lngScale) ** 2;
+        if (distance < minDistance) {
+            minDistance = distance;
+            nearest = hotspot;
+        }
+    }
+
+    if (!nearest) {
+        return { countryCode: '', stateCode: '' };
+    }
+    // Subnational codes look like 'US-CA'
+    const [countryCode, stateCode = ''] = nearest.subnational1Code.split('-');
+    return { countryCode: nearest.countryCode || countryCode, stateCode };
+}
+
+/**
+ * Check whether two times fall on the same local day
+ */
+function isSameDay(a, b) {
+    return new Date(a).toDateString() === new Date(b).toDateString();
+}
+
+/**
+ * Format a date as eBird Record Format expects (MM/DD/YYYY)
+ */
+function formatRecordDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(date.getMonth() + 1)}/${pad(date.getDate())}/${date.getFullYear()}`;
+}
+
+/**
+ * Format a start time as eBird Record Format expects (24-hour HH:MM)
+ */
+function formatRecordTime(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
@@ -0,0 +1,84 @@
+/**
+ * BirdRide - Life List Targets
+ * Matches bird results against an imported eBird life list: species already
+ * on the list are "seen", the rest are targets
+ */
+
+// Taxonomy categories that can be life list targets
+const COUNTABLE_CATEGORIES = ['species', 'issf', 'form', 'intergrade'];
+
+/**
+ * Mark each bird as seen (on the life list) or a target (a species that isn't)
+ * @param {array} birds - Bird objects
+ * @param {object|null} lifeList - Life list, or null if none is imported
+ * @returns {array} Birds with lifeListStatus: 'seen' | 'target', or null for
+ *                  birds that can't be counted (e.g. "gull sp.") or without a life list
+ */
+export function markLifeList(birds, lifeList) {
+    return birds.map(bird => ({ ...bird, lifeListStatus: getLifeListStatus(bird, lifeList) }));
+}
+
+/**
+ * Build an in-memory life list with lookup sets
+ * @param {object} stored - { species: [{ comName, sciName }], fileName, importedAt }
+ * @returns {object} { species, fileName, importedAt, count, sciNames, comNames }
+ */
+export function createLifeList(stored) {
+    return {
+        ...stored,
+        count: stored.species.length,
+        sciNames: new Set(stored.species.map(s => s.sciName)),
+        comNames: new Set(stored.species.map(s => s.comName.toLowerCase()))
+    };
+}
+
+/**
+ * Get a bird's life list status
+ * Matches on scientific name, falling back to common name for taxonomy changes
+ * that kept the English name
+ */
+function getLifeListStatus(bird, lifeList) {
+    if (!lifeList || !bird.sciName) {
+        return null;
+    }
+
+    // The taxonomy category is exact; without it, go by the name
+    const countable = bird.category
+        ? COUNTABLE_CATEGORIES.includes(bird.category)
+        : isCountableName(bird.sciName);
+    if (!countable) {
+        return null;
+    }
+
+    const seen = lifeList.sciNames.has(getSpeciesKey(bird.sciName)) ||
+        lifeList.comNames.has(getBaseCommonName(bird.comName || '').toLowerCase());
+    return seen ? 'seen' : 'target';
+}
+
+/**
+ * Check whether a scientific name is a single species (not "sp.", a slash or a hybrid)
+ * Slashes after the species epithet separate subspecies, which still count
+ * @param {string} sciName - Scientific name
+ * @returns {boolean} True if it can be counted on a life list
+ */
+export function isCountableName(sciName) {
+    return !/\ssp\.?$|\//.test(getSpeciesKey(sciName)) && !/\sx\s/i.test(sciName);
+}
+
+/**
+ * Get the key a species is matched by: its genus and species epithet, lowercased
+ * @param {string} sciName - Scientific name, possibly of a subspecies or form
+ * @returns {string} e.g. 'junco hyemalis' for 'Junco hyemalis [oreganus Group]'
+ */
+export function getSpeciesKey(sciName) {
+    return sciName.trim().toLowerCase().split(/\s+/).slice(0, 2).join(' ');
+}
+
+/**
+ * Get a common name without its form, e.g. 'Dark-eyed Junco' for 'Dark-eyed Junco (Oregon)'
+ * @param {string} comName - Common name
+ * @returns {string} Species common name
+ */
+export function getBaseCommonName(comName) {
+    return comName.replace(/\s*\(.*\)\s*$/, '').trim();
+}
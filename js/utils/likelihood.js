@@ -0,0 +1,118 @@
+/**
+ * BirdRide - Species Likelihood
+ * Estimates how likely each species is along the route from the share of the
+ * route where it was reported, and tiers species as common, uncommon or rare
+ *
+ * eBird's recent-observation feed returns only each species' latest report
+ * within a search circle, however many checklists had it, so reports can't be
+ * counted per checklist. Instead the route is split into the stretches the
+ * bird query searched (one per sample point), and the share is of stretches on
+ * which the species was reported: a bird seen all along the route is common,
+ * one reported on a single stretch of a long ride is uncommon.
+ *
+ * When planning for a season, sightings come from eBird's historic feed, which
+ * has one report per species, county and day. There the share is of the days
+ * searched on which the species was reported along the route instead.
+ */
+
+const KM_PER_MILE = 1.609344;
+
+// Species reported on less than this share of stretches (or days) are uncommon
+const UNCOMMON_SHARE = 0.1;
+
+// Below this many stretches (or days), shares are too noisy to call anything
+// uncommon (one report is already 10%), so those species are marked insufficientData
+const MIN_REPORTS = 10;
+
+/**
+ * Add likelihood estimates and a rarity tier to filtered birds
+ * Species eBird flags as notable stay rare; the rest are common or uncommon
+ * depending on how many of the route's searched stretches (or searched days) reported them
+ * @param {array} birds - Birds whose sightings are already limited to the corridor and
+ *                        window, with a routeMile on each sighting
+ * @param {object} options - { searchedDates, coverage }: the dates searched when planning
+ *                           for a season, else the route sampling of the last bird query
+ *                           ({ points, spacingKm }, see sampleRoutePoints)
+ * @returns {array} Birds with likelihood (0-1), reportCount, reportTotal,
+ *                  reportUnit ('stretch' | 'day'), rarity, and insufficientData (true
+ *                  when too little was searched to tell common from uncommon); without
+ *                  dates or sampling, reportTotal is 0
+ */
+export function estimateLikelihood(birds, { searchedDates = null, coverage = null } = {}) {
+    const reportUnit = searchedDates ? 'day' : 'stretch';
+    const stretchCount = coverage && coverage.spacingKm > 0 ? coverage.points.length : 0;
+    const getReportKey = searchedDates
+        ? getDateKey
+        : sighting => getStretchKey(sighting, coverage.spacingKm, stretchCount);
+
+    const total = searchedDates ? searchedDates.length : stretchCount;
+
+    return birds.map(bird => {
+        const reportCount = total > 0
+            ? new Set(bird.sightings.map(getReportKey).filter(key => key != null)).size
+            : 0;
+        const likelihood = total > 0 ? reportCount / total : 0;
+        const rarity = getRarityTier(bird, likelihood, total);
+        return {
+            ...bird,
+            rarity,
+            insufficientData: rarity !== 'rare' && total < MIN_REPORTS,
+            likelihood,
+            reportCount,
+            reportTotal: total,
+            reportUnit
+        };
+    });
+}
+
+/**
+ * Describe a bird's likelihood for display
+ * @param {object} bird - Bird with likelihood estimates
+ * @returns {string} e.g. "On 40% of route stretches (4 of 10)", or '' if unknown
+ */
+export function formatLikelihood(bird) {
+    if (!bird.reportTotal) {
+        return '';
+    }
+    const percent = bird.likelihood >= 0.01 ? Math.round(bird.likelihood * 100) : '<1';
+    const unit = bird.reportUnit === 'day' ? 'days searched' : 'route stretches';
+    return `On ${percent}% of ${unit} (${bird.reportCount} of ${bird.reportTotal})`;
+}
+
+/**
+ * Pick a rarity tier for a species
+ * @param {object} bird - Bird as returned by the server ('rare' if eBird flags it as notable)
+ * @param {number} likelihood - Share of searched stretches (or days) reporting the species
+ * @param {number} total - Stretches searched (or days searched)
+ * @returns {string} 'rare' | 'uncommon' | 'common'
+ */
+function getRarityTier(bird, likelihood, total) {
+    if (bird.rarity === 'rare') {
+        return 'rare';
+    }
+    if (total >= MIN_REPORTS && likelihood < UNCOMMON_SHARE) {
+        return 'uncommon';
+    }
+    return 'common';
+}
+
+/**
+ * Get the searched stretch of route a sighting falls on
+ * @param {object} sighting - Sighting with routeMile
+ * @param {number} spacingKm - Length of each stretch (the sample spacing)
+ * @param {number} count - Number of stretches
+ * @returns {number|null} Stretch index, or null if the sighting isn't placed on the route
+ */
+function getStretchKey(sighting, spacingKm, count) {
+    if (typeof sighting.routeMile !== 'number') {
+        return null;
+    }
+    return Math.min(Math.floor(sighting.routeMile * KM_PER_MILE / spacingKm), count - 1);
+}
+
+/**
+ * Get the day a sighting was reported on
+ */
+function getDateKey(sighting) {
+    return (sighting.obsDt || '').slice(0, 10);
+}
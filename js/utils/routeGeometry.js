@@ -0,0 +1,373 @@
+/**
+ * BirdRide - Route Geometry
+ * Spatial index over a route's segments for fast nearest-point,
+ * distance-to-route and along-route distance queries
+ *
+ * Segments are bucketed into a grid of ~1 km cells in a local flat projection,
+ * so a query only measures the segments in nearby cells instead of the whole
+ * route. Indexes are built once per route coordinates array and cached.
+ */
+
+const EARTH_RADIUS_MILES = 3959;
+const KM_PER_DEGREE_LAT = 110.574;
+const KM_PER_DEGREE_LNG_AT_EQUATOR = 111.32;
+
+// Grid cell size (km)
+const CELL_SIZE_KM = 1;
+
+// Rings of cells to search before falling back to checking every segment
+// (only hit for points far from the route)
+const MAX_SEARCH_RINGS = 25;
+
+// Route coordinates array -> index
+const indexCache = new WeakMap();
+
+/**
+ * Get the spatial index for a route, building it on first use
+ * @param {array} routeCoords - Array of [lat, lng] route coordinates
+ * @returns {object} Route index
+ */
+export function getRouteIndex(routeCoords) {
+    let index = indexCache.get(routeCoords);
+    if (!index) {
+        index = buildRouteIndex(routeCoords);
+        indexCache.set(routeCoords, index);
+    }
+    return index;
+}
+
+/**
+ * Find the closest point on the route to a location
+ * @param {array} routeCoords - Array of [lat, lng] route coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {object|null} { lat, lng, distance, alongRoute, segmentIndex } with distances
+ *                        in miles, or null if the route is empty
+ */
+export function findNearestPointOnRoute(routeCoords, lat, lng) {
+    if (!routeCoords || routeCoords.length === 0) {
+        return null;
+    }
+
+    const index = getRouteIndex(routeCoords);
+    const [x, y] = project(index, lat, lng);
+
+    const nearest = findNearestSegment(index, x, y);
+    const { segmentIndex, t } = nearest;
+    const [lat1, lng1] = routeCoords[segmentIndex];
+    const [lat2, lng2] = routeCoords[Math.min(segmentIndex + 1, routeCoords.length - 1)];
+    const pointLat = lat1 + (lat2 - lat1) * t;
+    const pointLng = lng1 + (lng2 - lng1) * t;
+    const segmentMiles = index.cumulative[Math.min(segmentIndex + 1, routeCoords.length - 1)] -
+        index.cumulative[segmentIndex];
+
+    return {
+        lat: pointLat,
+        lng: pointLng,
+        distance: haversineMiles(lat, lng, pointLat, pointLng),
+        alongRoute: index.cumulative[segmentIndex] + segmentMiles * t,
+        segmentIndex
+    };
+}
+
+/**
+ * Get the distance from a location to the route
+ * @param {array} routeCoords - Array of [lat, lng] route coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {number} Distance in miles (Infinity if the route is empty)
+ */
+export function getDistanceToRoute(routeCoords, lat, lng) {
+    const nearest = findNearestPointOnRoute(routeCoords, lat, lng);
+    return nearest ? nearest.distance : Infinity;
+}
+
+/**
+ * Get how far along the route the closest point to a location is
+ * @param {array} routeCoords - Array of [lat, lng] route coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {number} Distance from the start in miles (0 if the route is empty)
+ */
+export function getDistanceAlongRoute(routeCoords, lat, lng) {
+    const nearest = findNearestPointOnRoute(routeCoords, lat, lng);
+    return nearest ? nearest.alongRoute : 0;
+}
+
+/**
+ * Get the route length measured along its coordinates
+ * @param {array} routeCoords - Array of [lat, lng] route coordinates
+ * @returns {number} Length in miles
+ */
+export function getRouteLength(routeCoords) {
+    if (!routeCoords || routeCoords.length === 0) {
+        return 0;
+    }
+    const { cumulative } = getRouteIndex(routeCoords);
+    return cumulative[cumulative.length - 1];
+}
+
+/**
+ * Get the location a given distance along the route
+ * @param {array} routeCoords - Array of [lat, lng] route coordinates
+ * @param {number} miles - Distance from the start in miles (clamped to the route)
+ * @returns {object|null} { lat, lng } or null if the route is empty
+ */
+export function getPointAtDistance(routeCoords, miles) {
+    const position = getPositionAtDistance(routeCoords, miles);
+    if (!position) {
+        return null;
+    }
+
+    const { segmentIndex, t } = position;
+    const [lat1, lng1] = routeCoords[segmentIndex];
+    const [lat2, lng2] = routeCoords[Math.min(segmentIndex + 1, routeCoords.length - 1)];
+
+    return {
+        lat: lat1 + (lat2 - lat1) * t,
+        lng: lng1 + (lng2 - lng1) * t
+    };
+}
+
+/**
+ * Get the segment a given distance along the route, for interpolating
+ * per-point values such as recorded timestamps
+ * @param {array} routeCoords - Array of [lat, lng] route coordinates
+ * @param {number} miles - Distance from the start in miles (clamped to the route)
+ * @returns {object|null} { segmentIndex, t } with t the fraction (0-1) along the
+ *                        segment, or null if the route is empty
+ */
+export function getPositionAtDistance(routeCoords, miles) {
+    if (!routeCoords || routeCoords.length === 0) {
+        return null;
+    }
+
+    const { cumulative } = getRouteIndex(routeCoords);
+
+    // Binary search for the segment containing the distance
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (cumulative[mid] <= miles) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    const segmentMiles = cumulative[high] - cumulative[low];
+    const t = segmentMiles > 0 ? Math.max(0, Math.min(1, (miles - cumulative[low]) / segmentMiles)) : 0;
+    return { segmentIndex: low, t };
+}
+
+/**
+ * Build the spatial index for a route
+ * @param {array} routeCoords - Array of [lat, lng] route coordinates
+ * @returns {object} { kmPerDegreeLng, points, cumulative (miles), cells }
+ */
+function buildRouteIndex(routeCoords) {
+    const meanLat = routeCoords.reduce((sum, [lat]) => sum + lat, 0) / routeCoords.length;
+    const index = {
+        kmPerDegreeLng: KM_PER_DEGREE_LNG_AT_EQUATOR * Math.cos(toRad(meanLat)),
+        points: [],
+        cumulative: [0],
+        cells: new Map()
+    };
+
+    index.points = routeCoords.map(([lat, lng]) => project(index, lat, lng));
+
+    for (let i = 1; i < routeCoords.length; i++) {
+        const [lat1, lng1] = routeCoords[i - 1];
+        const [lat2, lng2] = routeCoords[i];
+        index.cumulative.push(index.cumulative[i - 1] + haversineMiles(lat1, lng1, lat2, lng2));
+    }
+
+    // A single-point route is indexed as one zero-length segment
+    const segmentCount = Math.max(routeCoords.length - 1, 1);
+    for (let i = 0; i < segmentCount; i++) {
+        const start = index.points[i];
+        const end = index.points[Math.min(i + 1, index.points.length - 1)];
+        for (const key of getSegmentCells(start, end)) {
+            if (!index.cells.has(key)) {
+                index.cells.set(key, []);
+            }
+            index.cells.get(key).push(i);
+        }
+    }
+
+    return index;
+}
+
+/**
+ * Find the nearest segment to a projected point by searching rings of cells
+ * outward from the point's cell
+ * @returns {object} { segmentIndex, t, distance } with t the position along the segment (0-1)
+ *                   and distance in projected km
+ */
+function findNearestSegment(index, x, y) {
+    const cellX = Math.floor(x / CELL_SIZE_KM);
+    const cellY = Math.floor(y / CELL_SIZE_KM);
+    const checked = new Set();
+    let best = null;
+
+    for (let ring = 0; ring <= MAX_SEARCH_RINGS; ring++) {
+        for (const key of getRingCells(cellX, cellY, ring)) {
+            for (const segmentIndex of index.cells.get(key) || []) {
+                if (checked.has(segmentIndex)) continue;
+                checked.add(segmentIndex);
+
+                const candidate = measureSegment(index, segmentIndex, x, y);
+                if (!best || candidate.distance < best.distance) {
+                    best = candidate;
+                }
+            }
+        }
+
+        // Segments in cells beyond this ring are at least `ring` cells away
+        if (best && best.distance <= ring * CELL_SIZE_KM) {
+            return best;
+        }
+    }
+
+    // Far from the route: check every segment
+    const segmentCount = Math.max(index.points.length - 1, 1);
+    for (let segmentIndex = 0; segmentIndex < segmentCount; segmentIndex++) {
+        if (checked.has(segmentIndex)) continue;
+        const candidate = measureSegment(index, segmentIndex, x, y);
+        if (!best || candidate.distance < best.distance) {
+            best = candidate;
+        }
+    }
+    return best;
+}
+
+/**
+ * Measure the distance from a projected point to one segment
+ * @returns {object} { segmentIndex, t, distance }
+ */
+function measureSegment(index, segmentIndex, x, y) {
+    const [x1, y1] = index.points[segmentIndex];
+    const [x2, y2] = index.points[Math.min(segmentIndex + 1, index.points.length - 1)];
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+
+    const t = lengthSquared === 0
+        ? 0
+        : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+
+    return {
+        segmentIndex,
+        t,
+        distance: Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy))
+    };
+}
+
+/**
+ * Get the keys of every grid cell a segment passes through
+ * Walks the grid along the segment, one cell boundary at a time
+ * @param {array} start - Projected [x, y] start point
+ * @param {array} end - Projected [x, y] end point
+ * @returns {array} Cell keys
+ */
+function getSegmentCells([x1, y1], [x2, y2]) {
+    let cellX = Math.floor(x1 / CELL_SIZE_KM);
+    let cellY = Math.floor(y1 / CELL_SIZE_KM);
+    const endX = Math.floor(x2 / CELL_SIZE_KM);
+    const endY = Math.floor(y2 / CELL_SIZE_KM);
+    const keys = [cellKey(cellX, cellY)];
+
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const stepX = Math.sign(dx);
+    const stepY = Math.sign(dy);
+
+    // Distance (as a fraction of the segment) to the next cell boundary, and between boundaries
+    const nextBoundaryX = (cellX + (stepX > 0 ? 1 : 0)) * CELL_SIZE_KM;
+    const nextBoundaryY = (cellY + (stepY > 0 ? 1 : 0)) * CELL_SIZE_KM;
+    let tMaxX = stepX !== 0 ? (nextBoundaryX - x1) / dx : Infinity;
+    let tMaxY = stepY !== 0 ? (nextBoundaryY - y1) / dy : Infinity;
+    const tDeltaX = stepX !== 0 ? CELL_SIZE_KM / Math.abs(dx) : Infinity;
+    const tDeltaY = stepY !== 0 ? CELL_SIZE_KM / Math.abs(dy) : Infinity;
+
+    // Every step crosses exactly one column or row boundary
+    const steps = Math.abs(endX - cellX) + Math.abs(endY - cellY);
+    for (let i = 0; i < steps; i++) {
+        if (tMaxX < tMaxY) {
+            cellX += stepX;
+            tMaxX += tDeltaX;
+        } else {
+            cellY += stepY;
+            tMaxY += tDeltaY;
+        }
+        keys.push(cellKey(cellX, cellY));
+    }
+
+    // Rounding can make the walk end one cell off; the end cell must always be included
+    const lastKey = cellKey(endX, endY);
+    if (keys[keys.length - 1] !== lastKey) {
+        keys.push(lastKey);
+    }
+
+    return keys;
+}
+
+/**
+ * Get the keys of the cells forming a square ring around a cell
+ * @param {number} cellX - Center cell column
+ * @param {number} cellY - Center cell row
+ * @param {number} ring - Ring number (0 is the center cell itself)
+ * @returns {array} Cell keys
+ */
+function getRingCells(cellX, cellY, ring) {
+    if (ring === 0) {
+        return [cellKey(cellX, cellY)];
+    }
+
+    const keys = [];
+    for (let i = -ring; i <= ring; i++) {
+        keys.push(cellKey(cellX + i, cellY - ring));
+        keys.push(cellKey(cellX + i, cellY + ring));
+    }
+    for (let i = -ring + 1; i <= ring - 1; i++) {
+        keys.push(cellKey(cellX - ring, cellY + i));
+        keys.push(cellKey(cellX + ring, cellY + i));
+    }
+    return keys;
+}
+
+/**
+ * Build a grid cell key
+ */
+function cellKey(cellX, cellY) {
+    return `${cellX},${cellY}`;
+}
+
+/**
+ * Project a location into the index's flat coordinates (km)
+ */
+function project(index, lat, lng) {
+    return [lng * index.kmPerDegreeLng, lat * KM_PER_DEGREE_LAT];
+}
+
+/**
+ * Calculate distance between two points using Haversine formula (in miles)
+ */
+function haversineMiles(lat1, lng1, lat2, lng2) {
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+    return EARTH_RADIUS_MILES * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Convert degrees to radians
+ */
+function toRad(deg) {
+    return deg * (Math.PI / 180);
+}
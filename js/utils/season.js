@@ -0,0 +1,146 @@
+/**
+ * BirdRide - Season Planning
+ * Picks the past dates searched when planning a ride for a time of year
+ *
+ * A season is a calendar month, or one of its eBird bar-chart weeks (days 1-7,
+ * 8-14, 15-21 and 22 to the month's end), written 'MM-W' with W = 0 for the
+ * whole month. It is searched in the most recent years that have already
+ * passed it, a few days per year so the number of eBird queries stays bounded.
+ */
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+// First day of each bar-chart week within a month
+const WEEK_START_DAYS = [1, 8, 15, 22];
+
+// Past years searched for a season
+const SEASON_YEARS = 3;
+
+// Days searched per year (spread evenly across longer windows)
+const MAX_DAYS_PER_YEAR = 8;
+
+/**
+ * Parse a season string
+ * @param {string} season - 'MM-W' (e.g. '05-2' for May 8-14, '05-0' for all of May)
+ * @returns {object|null} { month (1-12), week (0-4) } or null if invalid
+ */
+export function parseSeason(season) {
+    const match = /^(\d{2})-([0-4])$/.exec(season || '');
+    if (!match) {
+        return null;
+    }
+    const month = parseInt(match[1], 10);
+    if (month < 1 || month > 12) {
+        return null;
+    }
+    return { month, week: parseInt(match[2], 10) };
+}
+
+/**
+ * Get the selectable seasons, grouped by month
+ * @returns {array} [{ label, seasons: [{ value, label }] }] for January to December
+ */
+export function getSeasonOptions() {
+    return MONTH_NAMES.map((name, i) => {
+        const month = String(i + 1).padStart(2, '0');
+        return {
+            label: name,
+            seasons: [0, 1, 2, 3, 4].map(week => ({
+                value: `${month}-${week}`,
+                label: week === 0 ? `All of ${name}` : formatSeason(`${month}-${week}`)
+            }))
+        };
+    });
+}
+
+/**
+ * Describe a season for display
+ * @param {string} season - Season string
+ * @returns {string} e.g. 'May', 'May 8–14' or 'May 22–31'
+ */
+export function formatSeason(season) {
+    const parsed = parseSeason(season);
+    if (!parsed) {
+        return '';
+    }
+
+    const name = MONTH_NAMES[parsed.month - 1];
+    if (parsed.week === 0) {
+        return name;
+    }
+
+    // Day 0 of the next month is the last day of this one (2001 isn't a leap year)
+    const lastDay = parsed.week === 4
+        ? new Date(Date.UTC(2001, parsed.month, 0)).getUTCDate()
+        : WEEK_START_DAYS[parsed.week] - 1;
+    return `${name} ${WEEK_START_DAYS[parsed.week - 1]}–${lastDay}`;
+}
+
+/**
+ * Get the years a season is searched in: the most recent ones whose window has ended
+ * @param {string} season - Season string
+ * @param {Date} today - Current date
+ * @returns {array} Years, oldest first (empty if the season is invalid)
+ */
+export function getSeasonYears(season, today = new Date()) {
+    if (!parseSeason(season)) {
+        return [];
+    }
+
+    const todayString = toDateString(today.getFullYear(), today.getMonth() + 1, today.getDate());
+    const years = [];
+    for (let year = today.getFullYear(); years.length < SEASON_YEARS; year--) {
+        const window = getWindowDays(season, year);
+        if (window[window.length - 1] < todayString) {
+            years.unshift(year);
+        }
+    }
+    return years;
+}
+
+/**
+ * Get the dates searched for a season
+ * @param {string} season - Season string
+ * @param {Date} today - Current date
+ * @returns {array} Dates (YYYY-MM-DD), oldest first
+ */
+export function getSeasonDates(season, today = new Date()) {
+    return getSeasonYears(season, today).flatMap(year => spreadDays(getWindowDays(season, year)));
+}
+
+/**
+ * Get every day of a season's window in a given year
+ * @returns {array} Dates (YYYY-MM-DD)
+ */
+function getWindowDays(season, year) {
+    const { month, week } = parseSeason(season);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const first = week === 0 ? 1 : WEEK_START_DAYS[week - 1];
+    const last = week === 0 || week === 4 ? daysInMonth : WEEK_START_DAYS[week] - 1;
+
+    const days = [];
+    for (let day = first; day <= last; day++) {
+        days.push(toDateString(year, month, day));
+    }
+    return days;
+}
+
+/**
+ * Pick at most MAX_DAYS_PER_YEAR evenly spaced days, keeping the first and last
+ */
+function spreadDays(days) {
+    if (days.length <= MAX_DAYS_PER_YEAR) {
+        return days;
+    }
+    return Array.from({ length: MAX_DAYS_PER_YEAR }, (_, i) =>
+        days[Math.round(i * (days.length - 1) / (MAX_DAYS_PER_YEAR - 1))]
+    );
+}
+
+/**
+ * Format a calendar date as 'YYYY-MM-DD'
+ */
+function toDateString(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
@@ -3,6 +3,13 @@
  * Simple pub/sub state management for the application
  */
 
+import { findNearestPointOnRoute } from './routeGeometry.js';
+import { matchesSpeciesFilter } from './birdGroups.js';
+import { findBirdingStops } from './birdingStops.js';
+import { estimateLikelihood } from './likelihood.js';
+import { getSeasonDates } from './season.js';
+import { markLifeList } from './lifeListTargets.js';
+
 // Application state
 const state = {
     // Current page: 'landing' | 'map'
@@ -14,13 +21,36 @@ const state = {
 
     // Bird data
     birds: [],
+    searchCoverage: null, // { points, spacingKm, routeKm, coveredKm, gaps } for the last bird query
     filteredBirds: [],
     selectedBird: null,
+    hoveredBird: null, // filteredBirds index of the bird under the pointer in the map, list or profile
+    routeHoverPoint: null, // { lat, lng } on the route under the elevation profile cursor
+    mapView: null, // { lat, lng, zoom } of the map viewport, for shareable links
+    birdingStops: [], // ranked locations to stop at, from the filtered sightings
+    selectedStop: null, // ID of the selected birding stop
+    loggedSightings: [], // birds the user logged on this route (see sightingLog.js), most recent first
+
+    // eBird hotspots
+    showHotspots: false, // hotspot map layer toggle (saved as a preference)
+    allHotspots: [], // hotspots found around the route's sample points
+    hotspots: [], // hotspots within the corridor, with routeMile and distanceFromRoute
+    selectedHotspot: null,
 
     // Filters
     timeWindow: 14, // 7, 14, 30 days
-    distanceFilter: 0.25, // miles from route (0.25, 0.5, 1)
-    rarityFilter: 'all', // 'notable' | 'all'
+    anchorDate: null, // 'YYYY-MM-DD' to center the time window on a date, null for "last N days"
+    season: null, // 'MM-W' to plan for a month (W = 0) or week of past years (see season.js), replaces the time window
+    distanceFilter: 0.25, // corridor half-width in miles (0.25, 0.5, 1, 2, 5); also sets the search radius
+    rarityFilter: 'all', // 'notable' | 'targets' (not on the life list) | 'all'
+    speciesFilter: null, // { type: 'group' | 'family' | 'species' | 'text', value, label } or null
+
+    // Bird list order: 'route' | 'recent' | 'rarity' | 'count' | 'alphabetical' | 'taxonomic'
+    // (kept when returning to the landing page)
+    sortOrder: 'route',
+    groupByFamily: false, // group the list by eBird family, families in checklist order
+    sidebarView: 'species', // 'species' | 'stops' | 'log' (kept when returning to the landing page)
+    lifeList: null, // imported eBird life list (see lifeListTargets.js), kept when returning to the landing page
 
     // UI state
     isLoading: false,
@@ -97,11 +127,24 @@ export function resetState() {
         route: null,
         routeGeoJSON: null,
         birds: [],
+        searchCoverage: null,
         filteredBirds: [],
         selectedBird: null,
+        hoveredBird: null,
+        routeHoverPoint: null,
+        mapView: null,
+        birdingStops: [],
+        selectedStop: null,
+        loggedSightings: [],
+        allHotspots: [],
+        hotspots: [],
+        selectedHotspot: null,
         timeWindow: 14,
+        anchorDate: null,
+        season: null,
         distanceFilter: 0.25,
         rarityFilter: 'all',
+        speciesFilter: null,
         isLoading: false,
         error: null,
         sidebarExpanded: false,
@@ -110,116 +153,284 @@ export function resetState() {
 
 /**
  * Apply filters to birds based on current state
+ * Each species' sightings are filtered individually; a species is kept if any
+ * sighting qualifies, and its primary data becomes the closest qualifying sighting.
+ * Every kept sighting (and the species) gets a `routeMile`: how far along the
+ * route the sighting's closest point is.
+ * Likelihood and rarity tiers are estimated from the stretches of route searched (or,
+ * when planning for a season, the days searched) before the rarity and species filters,
+ * so they don't change as those filters do. With a life list imported, each species
+ * is marked seen or a target.
+ * Birding stops are ranked from the filtered sightings, so they follow the same filters,
+ * and from the hotspots' all-time species counts.
+ * Hotspots are narrowed to the same corridor.
  */
 export function applyFilters() {
     const birds = state.birds;
     const routeCoords = state.routeGeoJSON;
     const distanceFilter = state.distanceFilter;
     const rarityFilter = state.rarityFilter;
+    const seasonDates = state.season ? getSeasonDates(state.season) : null;
+    const dateRange = getSightingDateRange(state.timeWindow, state.anchorDate, seasonDates);
 
-    let filtered = [...birds];
+    // Filter sightings by distance from route and date
+    let filtered = estimateLikelihood(birds
+        .map(bird => filterSightings(bird, routeCoords, distanceFilter, dateRange))
+        .filter(Boolean), { searchedDates: seasonDates, coverage: state.searchCoverage });
 
-    // Filter by distance from route
-    if (routeCoords && routeCoords.length > 0) {
-        filtered = filtered.filter(bird => {
-            const distanceToRoute = getMinDistanceToRoute(bird.lat, bird.lng, routeCoords);
-            return distanceToRoute <= distanceFilter;
-        });
+    if (state.lifeList) {
+        filtered = markLifeList(filtered, state.lifeList);
     }
 
-    // Filter by rarity
+    // Filter by rarity, or to species missing from the life list
     if (rarityFilter === 'notable') {
         filtered = filtered.filter(bird =>
             bird.rarity === 'rare' || bird.rarity === 'uncommon'
         );
+    } else if (rarityFilter === 'targets') {
+        filtered = filtered.filter(bird => bird.lifeListStatus === 'target');
     }
 
-    // Sort by observation date (most recent first)
-    filtered.sort((a, b) => {
-        const dateA = a.obsDt ? new Date(a.obsDt) : new Date(0);
-        const dateB = b.obsDt ? new Date(b.obsDt) : new Date(0);
-        return dateB - dateA;
-    });
+    // Filter by species, family or group
+    if (state.speciesFilter) {
+        filtered = filtered.filter(bird => matchesSpeciesFilter(bird, state.speciesFilter));
+    }
+
+    filtered.sort(SORT_COMPARATORS[state.sortOrder] || SORT_COMPARATORS.route);
+
+    // Group by family, keeping the chosen order within each family
+    if (state.groupByFamily) {
+        filtered = groupByFamily(filtered);
+    }
 
-    setState({ filteredBirds: filtered });
+    // Hover indices refer to the previous list
+    setState({
+        filteredBirds: filtered,
+        hoveredBird: null,
+        birdingStops: findBirdingStops(filtered, {
+            hotspots: state.allHotspots,
+            halfLifeDays: seasonDates ? null : state.timeWindow / 2
+        }),
+        hotspots: filterHotspots(state.allHotspots, routeCoords, distanceFilter)
+    });
 }
 
 /**
- * Calculate the minimum distance from a point to the route (in miles)
- * @param {number} lat - Bird latitude
- * @param {number} lng - Bird longitude
- * @param {array} routeCoords - Array of [lat, lng] route coordinates
- * @returns {number} Distance in miles
+ * Keep the hotspots within the corridor, in route order
+ * @param {array} hotspots - Hotspots found around the route
+ * @param {array|null} routeCoords - Array of [lat, lng] route coordinates
+ * @param {number} maxDistance - Maximum distance from route (miles)
+ * @returns {array} Hotspots with routeMile and distanceFromRoute
  */
-function getMinDistanceToRoute(lat, lng, routeCoords) {
-    let minDistance = Infinity;
+function filterHotspots(hotspots, routeCoords, maxDistance) {
+    if (!routeCoords || routeCoords.length === 0) {
+        return [];
+    }
 
-    // Check distance to each segment of the route
-    for (let i = 0; i < routeCoords.length - 1; i++) {
-        const [lat1, lng1] = routeCoords[i];
-        const [lat2, lng2] = routeCoords[i + 1];
+    return hotspots
+        .map(hotspot => {
+            const nearest = findNearestPointOnRoute(routeCoords, hotspot.lat, hotspot.lng);
+            return { ...hotspot, routeMile: nearest.alongRoute, distanceFromRoute: nearest.distance };
+        })
+        .filter(hotspot => hotspot.distanceFromRoute <= maxDistance)
+        .sort((a, b) => a.routeMile - b.routeMile);
+}
 
-        // Calculate distance from point to line segment
-        const distance = pointToSegmentDistance(lat, lng, lat1, lng1, lat2, lng2);
-        if (distance < minDistance) {
-            minDistance = distance;
+/**
+ * Reorder birds so each family is contiguous
+ * Families follow eBird checklist order (their first member's taxonOrder);
+ * birds without taxonomy go last
+ * @param {array} birds - Sorted birds
+ * @returns {array} Birds grouped by familyCode
+ */
+function groupByFamily(birds) {
+    const familyRank = new Map();
+    for (const bird of birds) {
+        const key = bird.familyCode || '';
+        const rank = typeof bird.taxonOrder === 'number' ? bird.taxonOrder : Infinity;
+        if (!familyRank.has(key) || rank < familyRank.get(key)) {
+            familyRank.set(key, rank);
         }
     }
 
-    // Also check distance to each route point (for single points or endpoints)
-    for (const [routeLat, routeLng] of routeCoords) {
-        const distance = haversineDistance(lat, lng, routeLat, routeLng);
-        if (distance < minDistance) {
-            minDistance = distance;
+    // Array sort is stable, so the existing order is kept within a family
+    return [...birds].sort((a, b) =>
+        compareNumbers(familyRank.get(a.familyCode || ''), familyRank.get(b.familyCode || '')) ||
+        (a.familyCode || '').localeCompare(b.familyCode || '')
+    );
+}
+
+// Rarity sort rank (most notable first)
+const RARITY_RANK = { rare: 0, uncommon: 1, common: 2 };
+
+/**
+ * Comparators for each sort order
+ * Each falls back to another order for ties, so the list order is stable
+ */
+const SORT_COMPARATORS = {
+    // Start to finish by the closest sighting's position along the route
+    route: (a, b) => compareNumbers(a.routeMile, b.routeMile) || SORT_COMPARATORS.recent(a, b),
+
+    // Most recent qualifying sighting first
+    recent: (a, b) => getLatestSightingTime(b) - getLatestSightingTime(a),
+
+    // Rarest tier first, then least often reported
+    rarity: (a, b) =>
+        (RARITY_RANK[a.rarity] ?? RARITY_RANK.common) - (RARITY_RANK[b.rarity] ?? RARITY_RANK.common) ||
+        compareNumbers(a.likelihood, b.likelihood) ||
+        SORT_COMPARATORS.route(a, b),
+
+    // Most sightings first, then most individuals
+    count: (a, b) =>
+        b.sightings.length - a.sightings.length ||
+        getIndividualCount(b) - getIndividualCount(a) ||
+        SORT_COMPARATORS.alphabetical(a, b),
+
+    alphabetical: (a, b) => (a.comName || '').localeCompare(b.comName || ''),
+
+    // eBird checklist order; if the taxonomy couldn't be loaded, sort by
+    // scientific name, which at least keeps each genus together
+    taxonomic: (a, b) =>
+        compareNumbers(a.taxonOrder, b.taxonOrder) ||
+        (a.sciName || '').localeCompare(b.sciName || '')
+};
+
+/**
+ * Compare two optional numbers ascending, with missing values last
+ */
+function compareNumbers(a, b) {
+    const hasA = typeof a === 'number';
+    const hasB = typeof b === 'number';
+    if (hasA && hasB) return a - b;
+    if (hasA) return -1;
+    if (hasB) return 1;
+    return 0;
+}
+
+/**
+ * Get the time of a bird's most recent sighting (sightings are most recent first)
+ */
+function getLatestSightingTime(bird) {
+    const obsDt = bird.sightings[0]?.obsDt || bird.obsDt;
+    return obsDt ? new Date(obsDt).getTime() : 0;
+}
+
+/**
+ * Get the total number of individuals reported across a bird's sightings
+ */
+function getIndividualCount(bird) {
+    return bird.sightings.reduce((sum, sighting) => sum + (sighting.howMany || 1), 0);
+}
+
+/**
+ * Filter a species' sightings by distance from the route and date
+ * @param {object} bird - Bird object with a sightings array (most recent first)
+ * @param {array|null} routeCoords - Array of [lat, lng] route coordinates
+ * @param {number} maxDistance - Maximum distance from route (miles)
+ * @param {object} dateRange - Sighting dates allowed (see getSightingDateRange)
+ * @returns {object|null} Bird with only qualifying sightings (with routeMile and
+ *                        distanceFromRoute), its primary data taken from the
+ *                        closest one, or null if none qualify
+ */
+function filterSightings(bird, routeCoords, maxDistance, dateRange) {
+    const sightings = bird.sightings && bird.sightings.length > 0
+        ? bird.sightings
+        : [{ obsDt: bird.obsDt, howMany: bird.howMany, locName: bird.locName, locId: bird.locId, subId: bird.subId, lat: bird.lat, lng: bird.lng }];
+    const hasRoute = routeCoords && routeCoords.length > 0;
+
+    let closest = null;
+    let closestDistance = Infinity;
+    const qualifying = [];
+    for (const sighting of sightings) {
+        const date = sighting.obsDt ? sighting.obsDt.slice(0, 10) : null;
+        if (date && !isInDateRange(date, dateRange)) {
+            continue;
         }
+
+        const nearest = hasRoute ? findNearestPointOnRoute(routeCoords, sighting.lat, sighting.lng) : null;
+        const distance = nearest ? nearest.distance : 0;
+        if (distance > maxDistance) {
+            continue;
+        }
+
+        const located = {
+            ...sighting,
+            distanceFromRoute: distance,
+            routeMile: nearest ? nearest.alongRoute : null
+        };
+        qualifying.push(located);
+        if (distance < closestDistance) {
+            closestDistance = distance;
+            closest = located;
+        }
+    }
+
+    if (!closest) {
+        return null;
     }
 
-    return minDistance;
+    return {
+        ...bird,
+        lat: closest.lat,
+        lng: closest.lng,
+        obsDt: closest.obsDt,
+        howMany: closest.howMany,
+        locName: closest.locName,
+        locId: closest.locId,
+        subId: closest.subId,
+        distanceFromRoute: closestDistance,
+        routeMile: closest.routeMile,
+        sightings: qualifying
+    };
 }
 
 /**
- * Calculate distance from a point to a line segment (in miles)
+ * Get the dates sightings must fall on, matching the server's query window
+ * @param {number} days - Time window in days
+ * @param {string|null} anchorDate - Date the window is centered on, or null for the last N days
+ * @param {array|null} seasonDates - Dates searched when planning for a season (overrides the window)
+ * @returns {object} { start, end } as 'YYYY-MM-DD', inclusive, or { dates } for a season
  */
-function pointToSegmentDistance(px, py, x1, y1, x2, y2) {
-    const dx = x2 - x1;
-    const dy = y2 - y1;
+function getSightingDateRange(days, anchorDate, seasonDates = null) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const today = Date.parse(`${toDateString(new Date())}T00:00:00Z`);
 
-    if (dx === 0 && dy === 0) {
-        // Segment is a point
-        return haversineDistance(px, py, x1, y1);
+    if (seasonDates) {
+        return { dates: new Set(seasonDates) };
     }
 
-    // Calculate projection of point onto line
-    const t = Math.max(0, Math.min(1,
-        ((px - x1) * dx + (py - y1) * dy) / (dx * dx + dy * dy)
-    ));
-
-    // Closest point on segment
-    const closestLat = x1 + t * dx;
-    const closestLng = y1 + t * dy;
+    if (!anchorDate) {
+        // End a day late for observers in time zones ahead of the local one
+        return { start: toUtcDateString(today - days * DAY_MS), end: toUtcDateString(today + DAY_MS) };
+    }
 
-    return haversineDistance(px, py, closestLat, closestLng);
+    const anchor = Date.parse(`${anchorDate}T00:00:00Z`);
+    const end = Math.min(anchor + Math.floor(days / 2) * DAY_MS, today);
+    return { start: toUtcDateString(end - (days - 1) * DAY_MS), end: toUtcDateString(end) };
 }
 
 /**
- * Calculate distance between two points using Haversine formula (in miles)
+ * Check whether a 'YYYY-MM-DD' date is allowed by a sighting date range
  */
-function haversineDistance(lat1, lng1, lat2, lng2) {
-    const R = 3959; // Earth's radius in miles
-    const dLat = toRad(lat2 - lat1);
-    const dLng = toRad(lng2 - lng1);
-
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+function isInDateRange(date, dateRange) {
+    if (dateRange.dates) {
+        return dateRange.dates.has(date);
+    }
+    return date >= dateRange.start && date <= dateRange.end;
+}
 
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+/**
+ * Format a local date as 'YYYY-MM-DD'
+ */
+function toDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
 }
 
 /**
- * Convert degrees to radians
+ * Format a UTC timestamp (ms) as 'YYYY-MM-DD'
  */
-function toRad(deg) {
-    return deg * (Math.PI / 180);
+function toUtcDateString(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
 }
@@ -0,0 +1,135 @@
+/**
+ * BirdRide - URL View State
+ * Writes the filters, selected bird and map viewport into a route link's query
+ * string, and reads them back, so a shared link opens the same view
+ *
+ * e.g. /route/123?days=7&within=0.5&show=notable&bird=osprey&map=47.60620,-122.33210,13
+ *
+ * Trips open anchored to their ride date, so a trip link with the date cleared
+ * says date=none.
+ *
+ * Parsing only checks the shape of each value; FilterControls checks them
+ * against the options it offers.
+ */
+
+import { parseSeason } from './season.js';
+
+// Time window shown when the link doesn't say (days)
+const DEFAULT_TIME_WINDOW = 14;
+
+// `date` value for a trip viewed without its ride date
+const NO_DATE = 'none';
+
+// Species filter types that can be shared
+const SPECIES_FILTER_TYPES = ['group', 'family', 'species', 'text'];
+
+/**
+ * Build the query string for the current view
+ * @param {object} state - Application state
+ * @returns {string} Query string without the leading '?' (empty if nothing to share)
+ */
+export function formatViewQuery(state) {
+    const params = new URLSearchParams();
+
+    if (state.season) {
+        params.set('season', state.season);
+    } else {
+        if (state.timeWindow !== DEFAULT_TIME_WINDOW) {
+            params.set('days', String(state.timeWindow));
+        }
+        if (state.anchorDate) {
+            params.set('date', state.anchorDate);
+        } else if (state.route && state.route.type === 'trip') {
+            params.set('date', NO_DATE);
+        }
+    }
+
+    // The corridor width is a saved preference, so always include it
+    params.set('within', String(state.distanceFilter));
+
+    if (state.rarityFilter !== 'all') {
+        params.set('show', state.rarityFilter);
+    }
+
+    const filter = state.speciesFilter;
+    if (filter) {
+        params.set('species', `${filter.type}:${filter.value}`);
+        // Family and species names come from the results, which aren't loaded yet when a link opens
+        if (filter.type === 'family' || filter.type === 'species') {
+            params.set('label', filter.label);
+        }
+    }
+
+    if (state.selectedBird) {
+        params.set('bird', state.selectedBird.speciesCode);
+    }
+
+    if (state.mapView) {
+        const { lat, lng, zoom } = state.mapView;
+        params.set('map', `${lat.toFixed(5)},${lng.toFixed(5)},${zoom}`);
+    }
+
+    // Colons and commas are fine in a query string and keep the link readable
+    return params.toString().replace(/%3A/gi, ':').replace(/%2C/gi, ',');
+}
+
+/**
+ * Read the view from a query string
+ * @param {string} search - Query string (with or without the leading '?')
+ * @returns {object} The values present and well-formed: { timeWindow, anchorDate,
+ *   season, distanceFilter, rarityFilter, speciesFilter, selectedSpecies, mapView };
+ *   anchorDate is null when the link clears the date
+ */
+export function parseViewQuery(search) {
+    const params = new URLSearchParams(search);
+    const view = {};
+
+    const days = parseInt(params.get('days'), 10);
+    if (days > 0) {
+        view.timeWindow = days;
+    }
+
+    const date = params.get('date');
+    if (date === NO_DATE) {
+        view.anchorDate = null;
+    } else if (date && /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(Date.parse(date))) {
+        view.anchorDate = date;
+    }
+
+    const season = params.get('season');
+    if (parseSeason(season)) {
+        view.season = season;
+    }
+
+    const within = parseFloat(params.get('within'));
+    if (within > 0) {
+        view.distanceFilter = within;
+    }
+
+    const show = params.get('show');
+    if (show === 'notable' || show === 'targets') {
+        view.rarityFilter = show;
+    }
+
+    const species = params.get('species');
+    const separator = species ? species.indexOf(':') : -1;
+    if (separator > 0) {
+        const type = species.slice(0, separator);
+        const value = species.slice(separator + 1);
+        if (SPECIES_FILTER_TYPES.includes(type) && value) {
+            view.speciesFilter = { type, value, label: params.get('label') || value };
+        }
+    }
+
+    const bird = params.get('bird');
+    if (bird && /^[a-z0-9]+$/i.test(bird)) {
+        view.selectedSpecies = bird;
+    }
+
+    const [lat, lng, zoom] = (params.get('map') || '').split(',').map(Number);
+    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && Number.isInteger(zoom)) {
+        view.mapView = { lat, lng, zoom };
+    }
+
+    return view;
+}
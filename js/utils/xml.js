@@ -0,0 +1,79 @@
+/**
+ * BirdRide - XML Utilities
+ * Namespace-agnostic helpers for reading XML route files (GPX, TCX),
+ * and escaping text for the GPX export
+ */
+
+/**
+ * Parse an XML string, throwing if it is not well-formed
+ * @param {string} text - XML document text
+ * @param {string} formatLabel - Format name for the error message (e.g. 'GPX')
+ * @returns {Document} Parsed document
+ */
+export function parseXml(text, formatLabel) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error(`File is not a valid ${formatLabel} document`);
+    }
+    return doc;
+}
+
+/**
+ * Find all descendant elements by local name (ignores XML namespaces)
+ */
+export function findAll(root, localName) {
+    return Array.from(root.getElementsByTagNameNS('*', localName));
+}
+
+/**
+ * Find the first descendant element by local name
+ */
+export function findFirst(root, localName) {
+    return root.getElementsByTagNameNS('*', localName)[0] || null;
+}
+
+/**
+ * Find a direct child element by local name
+ */
+export function directChild(parent, localName) {
+    return Array.from(parent.children).find(el => el.localName === localName) || null;
+}
+
+/**
+ * Get trimmed text content of an element
+ */
+export function getText(el) {
+    return el ? el.textContent.trim() : '';
+}
+
+/**
+ * Parse the numeric text content of an element
+ * @returns {number|null} Parsed number, or null if missing/invalid
+ */
+export function getNumber(el) {
+    const value = parseFloat(getText(el));
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Parse the date text content of an element
+ * @returns {Date|null} Parsed date, or null if missing/invalid
+ */
+export function getDate(el) {
+    const text = getText(el);
+    if (!text) return null;
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Escape text for use in XML content or attribute values
+ */
+export function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
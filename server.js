@@ -5,6 +5,8 @@
 
 const express = require('express');
 const path = require('path');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,22 +14,484 @@ const PORT = process.env.PORT || 3000;
 // eBird API key (set via environment variable)
 const EBIRD_API_KEY = process.env.EBIRD_API_KEY || 'dbvvrg1t1p62';
 
+// Admin token for /api/admin/* (if unset, the admin endpoints are disabled)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// Optional file to persist the response cache across restarts
+const CACHE_FILE = process.env.CACHE_FILE || '';
+
+// Upstream request limits
+const UPSTREAM_CONCURRENCY = readIntEnv('UPSTREAM_CONCURRENCY', 6, 1);
+const UPSTREAM_TIMEOUT_MS = readIntEnv('UPSTREAM_TIMEOUT_MS', 10000, 1);
+const UPSTREAM_MAX_RETRIES = readIntEnv('UPSTREAM_MAX_RETRIES', 3, 0);
+
+// Maximum sample points per bird query (each costs up to two eBird requests)
+const MAX_SAMPLE_POINTS = 40;
+
+// Maximum dates per historic bird query, explicit or from an anchored window
+// (each costs one eBird request per county)
+const MAX_QUERY_DATES = 31;
+
+// Maximum eBird historic calls per bird query (counties x dates x ranks); the
+// first-record lookups are dropped before a query is refused
+const MAX_HISTORIC_CALLS = 200;
+
+/**
+ * Read a whole-number setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value when unset or not a number
+ * @param {number} min - Smallest allowed value
+ * @returns {number} Setting value
+ */
+function readIntEnv(name, defaultValue, min) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? defaultValue : Math.max(value, min);
+}
+
 // Serve static files
 app.use(express.static(path.join(__dirname)));
 
 // Parse JSON bodies
 app.use(express.json());
 
+/* ============================================
+   Upstream Request Scheduler
+   ============================================ */
+
+// Minimum time between request starts per host (ms)
+const HOST_MIN_INTERVALS = {
+    'api.ebird.org': 100,
+    'search.macaulaylibrary.org': 100,
+    'ridewithgps.com': 200,
+    'nominatim.openstreetmap.org': 1000 // Nominatim usage policy: max 1 request per second
+};
+
+const RETRY_BASE_DELAY_MS = 500;
+
+// Longest Retry-After worth waiting for; a request held longer than this would
+// stall the whole query, so the error response is returned instead
+const MAX_RETRY_AFTER_MS = 5000;
+
+let activeUpstreamRequests = 0;
+const upstreamQueue = [];
+const hostNextStart = new Map();
+
+// Abort signal of the request the upstream calls are made for, if it can be
+// cancelled (see runCancellable)
+const upstreamCancelContext = new AsyncLocalStorage();
+
+/**
+ * Wait for a free upstream request slot (global concurrency limit)
+ */
+function acquireUpstreamSlot() {
+    if (activeUpstreamRequests < UPSTREAM_CONCURRENCY) {
+        activeUpstreamRequests++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => upstreamQueue.push(resolve));
+}
+
+/**
+ * Release an upstream request slot, handing it to the next queued request
+ */
+function releaseUpstreamSlot() {
+    const next = upstreamQueue.shift();
+    if (next) {
+        next();
+    } else {
+        activeUpstreamRequests--;
+    }
+}
+
+/**
+ * Wait until a request to this host is allowed by its rate limit
+ * Start times are reserved in call order, so bursts are spread out evenly
+ */
+async function waitForHost(host) {
+    const interval = HOST_MIN_INTERVALS[host] || 0;
+    if (!interval) return;
+
+    const now = Date.now();
+    const startAt = Math.max(now, hostNextStart.get(host) || 0);
+    hostNextStart.set(host, startAt + interval);
+
+    if (startAt > now) {
+        await sleep(startAt - now);
+    }
+}
+
+/**
+ * Fetch from an upstream API with concurrency limiting, per-host rate limiting,
+ * a request timeout, and retries with exponential backoff on 429/5xx and network errors
+ * (a 429/5xx asking to wait longer than MAX_RETRY_AFTER_MS is returned as is).
+ * Inside runCancellable, throws once the request it runs for is cancelled.
+ * @param {string} url - Request URL
+ * @param {object} options - fetch() options
+ * @returns {Promise<Response>} Final response (may be a non-OK response after retries)
+ */
+async function scheduledFetch(url, options = {}) {
+    const host = new URL(url).host;
+    const cancelSignal = upstreamCancelContext.getStore();
+
+    for (let attempt = 0; ; attempt++) {
+        cancelSignal?.throwIfAborted();
+        await waitForHost(host);
+        await acquireUpstreamSlot();
+
+        let response;
+        try {
+            cancelSignal?.throwIfAborted();
+            const timeout = AbortSignal.timeout(UPSTREAM_TIMEOUT_MS);
+            response = await fetch(url, {
+                ...options,
+                signal: cancelSignal ? AbortSignal.any([timeout, cancelSignal]) : timeout
+            });
+        } catch (error) {
+            if (attempt >= UPSTREAM_MAX_RETRIES || cancelSignal?.aborted) {
+                throw error;
+            }
+            console.warn(`[Upstream] ${host} request failed (${error.message}), retrying`);
+            await sleep(getRetryDelay(attempt));
+            continue;
+        } finally {
+            releaseUpstreamSlot();
+        }
+
+        const isRetryable = response.status === 429 || response.status >= 500;
+        if (!isRetryable || attempt >= UPSTREAM_MAX_RETRIES) {
+            return response;
+        }
+
+        const delay = getRetryDelay(attempt, response.headers.get('retry-after'));
+        if (delay > MAX_RETRY_AFTER_MS) {
+            console.warn(`[Upstream] ${host} returned ${response.status} and asked to wait ${Math.round(delay / 1000)}s, giving up`);
+            return response;
+        }
+
+        console.warn(`[Upstream] ${host} returned ${response.status}, retrying`);
+        await sleep(delay);
+    }
+}
+
+/**
+ * Get the delay before a retry: Retry-After if the server sent one,
+ * otherwise exponential backoff with jitter
+ * @param {number} attempt - Zero-based attempt number that just failed
+ * @param {string|null} retryAfter - Retry-After header value (seconds)
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempt, retryAfter = null) {
+    const retryAfterSeconds = parseInt(retryAfter);
+    if (!isNaN(retryAfterSeconds)) {
+        return retryAfterSeconds * 1000;
+    }
+    const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return backoff + Math.random() * backoff * 0.5;
+}
+
+/**
+ * Run work whose upstream calls should stop when a signal aborts: calls not yet
+ * started throw instead of waiting for a slot, and calls in flight are cancelled
+ * @param {AbortSignal} signal - Cancels the remaining upstream calls
+ * @param {function} work - Async function making the upstream calls
+ * @returns {Promise} Result of work
+ */
+function runCancellable(signal, work) {
+    return upstreamCancelContext.run(signal, work);
+}
+
+/**
+ * Resolve after a delay
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/* ============================================
+   Response Cache
+   ============================================ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Time-to-live per upstream. Sightings change quickly; photos and reference data rarely do.
+const CACHE_TTLS = {
+    route: HOUR,            // RideWithGPS routes (can be edited)
+    trip: DAY,              // RideWithGPS recorded trips
+    regionRoutes: DAY,      // RideWithGPS popular routes per region
+    sightings: 10 * MINUTE, // eBird recent + notable observations
+    historic: 12 * HOUR,    // eBird observations for past dates
+    hotspots: DAY,          // eBird hotspot lookups
+    photos: 7 * DAY,        // Macaulay Library searches
+    geocode: DAY,           // Nominatim
+    taxonomy: 30 * DAY      // eBird taxonomy (revised once a year)
+};
+
+const CACHE_MAX_ENTRIES = 5000;
+const CACHE_SAVE_INTERVAL = MINUTE;
+
+// key -> { upstream, url, data, createdAt, expiresAt, hits }
+const responseCache = new Map();
+const cacheStats = { hits: 0, misses: 0 };
+let cacheDirty = false;
+
+// Per-request cache hit/miss counts, used for the X-Cache response headers
+const cacheContext = new AsyncLocalStorage();
+
+/**
+ * Build a cache key from an upstream name and URL with sorted query parameters
+ * so equivalent requests share an entry regardless of parameter order
+ */
+function getCacheKey(upstream, url) {
+    const parsed = new URL(url);
+    parsed.searchParams.sort();
+    return `${upstream} ${parsed.toString()}`;
+}
+
+/**
+ * Fetch JSON from an upstream API through the response cache
+ * Returns a Response-like object ({ ok, status, json(), text() }) so call sites
+ * can use it like fetch(). Only successful JSON responses are cached.
+ * @param {string} upstream - Upstream name (key of CACHE_TTLS)
+ * @param {string} url - Request URL
+ * @param {object} options - fetch() options
+ * @returns {Promise<object>} Response-like object
+ */
+async function cachedFetch(upstream, url, options = {}) {
+    const key = getCacheKey(upstream, url);
+    const requestStats = cacheContext.getStore();
+    const entry = responseCache.get(key);
+
+    if (entry && entry.expiresAt > Date.now()) {
+        entry.hits++;
+        cacheStats.hits++;
+        if (requestStats) requestStats.hits++;
+        return createCachedResponse(entry.data);
+    }
+
+    cacheStats.misses++;
+    if (requestStats) requestStats.misses++;
+
+    const response = await scheduledFetch(url, options);
+    if (!response.ok) {
+        return response;
+    }
+
+    const data = await response.json();
+    setCacheEntry(key, {
+        upstream,
+        url,
+        data,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + (CACHE_TTLS[upstream] || 10 * MINUTE),
+        hits: 0
+    });
+    return createCachedResponse(data);
+}
+
+/**
+ * Wrap cached JSON in a Response-like object
+ */
+function createCachedResponse(data) {
+    return {
+        ok: true,
+        status: 200,
+        json: async () => data,
+        text: async () => JSON.stringify(data)
+    };
+}
+
+/**
+ * Store a cache entry, evicting the oldest entries when over capacity
+ */
+function setCacheEntry(key, entry) {
+    responseCache.delete(key);
+    responseCache.set(key, entry);
+
+    while (responseCache.size > CACHE_MAX_ENTRIES) {
+        responseCache.delete(responseCache.keys().next().value);
+    }
+    cacheDirty = true;
+}
+
+/**
+ * Remove expired entries from the cache
+ */
+function pruneCache() {
+    const now = Date.now();
+    for (const [key, entry] of responseCache) {
+        if (entry.expiresAt <= now) {
+            responseCache.delete(key);
+            cacheDirty = true;
+        }
+    }
+}
+
+/**
+ * Load persisted cache entries from CACHE_FILE (if configured)
+ */
+function loadCacheFromDisk() {
+    if (!CACHE_FILE) return;
+
+    try {
+        const entries = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt > now) {
+                responseCache.set(key, entry);
+            }
+        }
+        console.log(`[Cache] Loaded ${responseCache.size} entries from ${CACHE_FILE}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn('[Cache] Failed to load cache file:', error.message);
+        }
+    }
+}
+
+/**
+ * Write cache entries to CACHE_FILE (if configured and changed)
+ * Writes to a temp file first so a crash mid-write can't corrupt the cache
+ */
+function saveCacheToDisk() {
+    if (!CACHE_FILE || !cacheDirty) return;
+
+    pruneCache();
+    try {
+        const tempFile = `${CACHE_FILE}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify([...responseCache]));
+        fs.renameSync(tempFile, CACHE_FILE);
+        cacheDirty = false;
+    } catch (error) {
+        console.warn('[Cache] Failed to save cache file:', error.message);
+    }
+}
+
+loadCacheFromDisk();
+setInterval(() => {
+    pruneCache();
+    saveCacheToDisk();
+}, CACHE_SAVE_INTERVAL).unref();
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        saveCacheToDisk();
+        process.exit(0);
+    });
+}
+
+/**
+ * Track cache usage per API request and report it in response headers
+ * X-Cache: HIT (all upstream data cached) | MISS (none cached) | PARTIAL
+ * X-Cache-Hits: cached upstream calls / total upstream calls
+ */
+app.use('/api', (req, res, next) => {
+    const requestStats = { hits: 0, misses: 0 };
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        const total = requestStats.hits + requestStats.misses;
+        if (total > 0 && !res.headersSent) {
+            const status = requestStats.misses === 0 ? 'HIT' : (requestStats.hits === 0 ? 'MISS' : 'PARTIAL');
+            res.set('X-Cache', status);
+            res.set('X-Cache-Hits', `${requestStats.hits}/${total}`);
+        }
+        return originalJson(body);
+    };
+
+    cacheContext.run(requestStats, next);
+});
+
+/**
+ * Only allow admin requests carrying the admin token
+ * Without ADMIN_TOKEN set the admin endpoints don't exist: behind a proxy every
+ * request can look like it comes from localhost, so there is nothing safe to fall back to.
+ */
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+    if (req.get('X-Admin-Token') !== ADMIN_TOKEN) {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+}
+
+/**
+ * Inspect the response cache
+ * GET /api/admin/cache?upstream=photos&entries=true
+ */
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+    pruneCache();
+
+    const byUpstream = {};
+    for (const entry of responseCache.values()) {
+        byUpstream[entry.upstream] = (byUpstream[entry.upstream] || 0) + 1;
+    }
+
+    const result = {
+        size: responseCache.size,
+        maxEntries: CACHE_MAX_ENTRIES,
+        hits: cacheStats.hits,
+        misses: cacheStats.misses,
+        persistence: CACHE_FILE || null,
+        ttls: Object.fromEntries(Object.entries(CACHE_TTLS).map(([name, ttl]) => [name, ttl / 1000])),
+        byUpstream
+    };
+
+    if (req.query.entries === 'true') {
+        result.entries = [...responseCache.entries()]
+            .filter(([, entry]) => !req.query.upstream || entry.upstream === req.query.upstream)
+            .map(([key, entry]) => ({
+                key,
+                upstream: entry.upstream,
+                url: entry.url,
+                createdAt: new Date(entry.createdAt).toISOString(),
+                expiresAt: new Date(entry.expiresAt).toISOString(),
+                hits: entry.hits
+            }));
+    }
+
+    res.json(result);
+});
+
+/**
+ * Purge the response cache (all entries, one upstream, or one key)
+ * DELETE /api/admin/cache?upstream=sightings
+ * DELETE /api/admin/cache?key=...
+ */
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+    let purged = 0;
+
+    for (const [key, entry] of responseCache) {
+        const matches = req.query.key ? key === req.query.key
+            : req.query.upstream ? entry.upstream === req.query.upstream
+            : true;
+        if (matches) {
+            responseCache.delete(key);
+            purged++;
+        }
+    }
+
+    cacheDirty = true;
+    saveCacheToDisk();
+    res.json({ purged, size: responseCache.size });
+});
+
 /**
  * Proxy RideWithGPS route data
  * GET /api/route/:id
  */
 app.get('/api/route/:id', async (req, res) => {
     const routeId = req.params.id;
+    if (!/^\d+$/.test(routeId)) {
+        return res.status(400).json({ error: 'Invalid route ID' });
+    }
     const url = `https://ridewithgps.com/routes/${routeId}.json`;
 
     try {
-        const response = await fetch(url, {
+        const response = await cachedFetch('route', url, {
             headers: {
                 'Accept': 'application/json',
                 'User-Agent': 'BirdRide/1.0'
@@ -67,25 +531,141 @@ app.get('/api/route/:id', async (req, res) => {
     }
 });
 
+/**
+ * Proxy RideWithGPS trip (recorded ride) data
+ * GET /api/trip/:id
+ */
+app.get('/api/trip/:id', async (req, res) => {
+    const tripId = req.params.id;
+    if (!/^\d+$/.test(tripId)) {
+        return res.status(400).json({ error: 'Invalid trip ID' });
+    }
+    const url = `https://ridewithgps.com/trips/${tripId}.json`;
+
+    try {
+        const response = await cachedFetch('trip', url, {
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': 'BirdRide/1.0'
+            }
+        });
+
+        if (!response.ok) {
+            return res.status(response.status).json({
+                error: 'Trip not found',
+                status: response.status
+            });
+        }
+
+        const data = await response.json();
+        const tripData = data.trip || data;
+
+        // Recorded rides can contain samples without a GPS fix (e.g. paused or indoors)
+        const trackPoints = (tripData.track_points || [])
+            .filter(pt => typeof pt.x === 'number' && typeof pt.y === 'number');
+
+        // departed_at is the ride start; fall back to the first recorded timestamp
+        const departedAt = tripData.departed_at ||
+            (trackPoints[0]?.t ? new Date(trackPoints[0].t * 1000).toISOString() : null);
+
+        // Normalize the trip data (same shape as /api/route/:id plus ride timing)
+        const normalized = {
+            id: tripData.id || parseInt(tripId),
+            type: 'trip',
+            name: tripData.name || `Trip ${tripId}`,
+            description: tripData.description || '',
+            distance: tripData.distance || trackPoints[trackPoints.length - 1]?.d || 0,
+            elevation_gain: tripData.elevation_gain || 0,
+            elevation_loss: tripData.elevation_loss || 0,
+            first_lat: tripData.first_lat || trackPoints[0]?.y,
+            first_lng: tripData.first_lng || trackPoints[0]?.x,
+            last_lat: tripData.last_lat || trackPoints[trackPoints.length - 1]?.y,
+            last_lng: tripData.last_lng || trackPoints[trackPoints.length - 1]?.x,
+            start_location: tripData.locality || tripData.administrative_area || 'Ride Start',
+            departed_at: departedAt,
+            ride_date: departedAt ? getLocalDate(departedAt, tripData.time_zone, trackPoints[0]?.x) : null,
+            time_zone: tripData.time_zone || null,
+            moving_time: tripData.moving_time || 0,
+            duration: tripData.duration || 0,
+            track_points: trackPoints
+        };
+
+        res.json(normalized);
+    } catch (error) {
+        console.error('Error fetching trip:', error.message);
+        res.status(500).json({ error: 'Failed to fetch trip data' });
+    }
+});
+
+/**
+ * Check that a value is a [lat, lng] pair of finite, in-range numbers
+ */
+function isValidLatLng(point) {
+    return Array.isArray(point) && point.length === 2 &&
+        Number.isFinite(point[0]) && Number.isFinite(point[1]) &&
+        Math.abs(point[0]) <= 90 && Math.abs(point[1]) <= 180;
+}
+
+/**
+ * Get the calendar date a ride started on where it was ridden
+ * @param {string} isoTime - Start time (ISO 8601)
+ * @param {string|null} timeZone - IANA time zone of the ride (e.g. America/Denver)
+ * @param {number|undefined} lng - Start longitude, to estimate the offset when the time zone is unknown
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function getLocalDate(isoTime, timeZone, lng) {
+    const time = new Date(isoTime);
+    if (timeZone) {
+        try {
+            // en-CA formats dates as YYYY-MM-DD
+            return new Intl.DateTimeFormat('en-CA', {
+                timeZone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit'
+            }).format(time);
+        } catch (error) {
+            // Unknown time zone name; estimate below
+        }
+    }
+    const offsetHours = typeof lng === 'number' ? Math.round(lng / 15) : 0;
+    return new Date(time.getTime() + offsetHours * HOUR).toISOString().slice(0, 10);
+}
+
 /**
  * Proxy eBird bird sightings data
  * GET /api/birds?coords=[[lat,lng],...]&days=14&radius=2.5
+ * GET /api/birds?coords=[[lat,lng],...]&days=14&radius=2.5&date=2024-05-03
+ * GET /api/birds?coords=[[lat,lng],...]&radius=2.5&dates=2023-05-01,2024-05-01,...
+ *
+ * Without `date`, returns sightings from the last `days` days.
+ * With `date`, returns sightings from a `days`-long window centered on that date
+ * (clamped to today) using eBird's historic observations.
+ * With `dates`, returns historic sightings on exactly those dates (used to
+ * plan for a time of year from past years' sightings).
  */
 app.get('/api/birds', async (req, res) => {
     try {
-        const coords = JSON.parse(req.query.coords || '[]');
-        const days = parseInt(req.query.days) || 14;
-        const radius = parseFloat(req.query.radius) || 2.5;
-
-        if (!coords.length) {
-            return res.status(400).json({ error: 'No coordinates provided' });
+        const query = parseBirdQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
         }
 
-        // Sample up to 15 points along the route
-        const samplePoints = sampleCoordinates(coords, 15);
+        const { samplePoints, days, radius, dates } = query;
         const allBirds = new Map();
         const seenSightings = new Set(); // Track unique sightings by speciesCode + subId
 
+        if (dates) {
+            const observations = await fetchHistoricBirds(samplePoints, dates, radius);
+            for (const bird of observations) {
+                // No notable feed exists for past dates; reviewed records are still flagged as Notable
+                addSighting(allBirds, seenSightings, bird, bird.obsReviewed ? 'rare' : 'common');
+            }
+
+            console.log(`[Historic] ${allBirds.size} species on ${dates.length} dates`);
+            return res.json(addTaxonomy(finalizeBirds(allBirds), await getTaxonomyOrNull()));
+        }
+
         // Fetch notable species for all sample points in parallel
         const notablePromises = samplePoints.map(([lat, lng]) =>
             fetchNotableBirds(lat, lng, days, radius)
@@ -93,48 +673,13 @@ app.get('/api/birds', async (req, res) => {
         const notableResults = await Promise.allSettled(notablePromises);
 
         // Build Set of notable species codes AND add notable observations to results
+        // (they may not appear in regular /recent endpoint)
         const notableSpecies = new Set();
         for (const result of notableResults) {
             if (result.status === 'fulfilled') {
                 for (const bird of result.value) {
                     notableSpecies.add(bird.speciesCode);
-
-                    // Add notable observation directly to results (they may not appear in regular /recent endpoint)
-                    const sightingKey = `${bird.speciesCode}-${bird.subId}`;
-                    if (!seenSightings.has(sightingKey)) {
-                        seenSightings.add(sightingKey);
-
-                        const sighting = {
-                            obsDt: bird.obsDt,
-                            howMany: bird.howMany || 1,
-                            locName: bird.locName,
-                            subId: bird.subId,
-                            lat: bird.lat,
-                            lng: bird.lng
-                        };
-
-                        if (!allBirds.has(bird.speciesCode)) {
-                            allBirds.set(bird.speciesCode, {
-                                speciesCode: bird.speciesCode,
-                                comName: bird.comName,
-                                sciName: bird.sciName,
-                                rarity: 'rare', // Notable birds are always rare
-                                lat: bird.lat,
-                                lng: bird.lng,
-                                obsDt: bird.obsDt,
-                                howMany: bird.howMany || 1,
-                                locName: bird.locName,
-                                subId: bird.subId,
-                                sightings: [sighting]
-                            });
-                        } else {
-                            // Add to existing species' sightings
-                            const existing = allBirds.get(bird.speciesCode);
-                            existing.sightings.push(sighting);
-                            // Ensure it's marked as rare since it appeared in notable
-                            existing.rarity = 'rare';
-                        }
-                    }
+                    addSighting(allBirds, seenSightings, bird, 'rare'); // Notable birds are always rare
                 }
             }
         }
@@ -145,97 +690,752 @@ app.get('/api/birds', async (req, res) => {
             console.log(`[Notable] Species codes: ${[...notableSpecies].slice(0, 10).join(', ')}${notableSpecies.size > 10 ? '...' : ''}`);
         }
 
-        // Query eBird for each sample point
-        for (const [lat, lng] of samplePoints) {
-            try {
-                const url = `https://api.ebird.org/v2/data/obs/geo/recent?` +
-                    new URLSearchParams({
-                        lat: lat.toFixed(4),
-                        lng: lng.toFixed(4),
-                        dist: radius,
-                        back: days
-                    });
-
-                const response = await fetch(url, {
-                    headers: {
-                        'X-eBirdApiToken': EBIRD_API_KEY
-                    }
-                });
+        // Query eBird for recent observations at all sample points in parallel
+        // (the upstream scheduler limits how many run at once)
+        const recentResults = await Promise.allSettled(samplePoints.map(([lat, lng]) =>
+            fetchRecentObservations(lat, lng, days, radius)
+        ));
+
+        // Group by species code, collecting all sightings (in sample point order)
+        for (const result of recentResults) {
+            if (result.status !== 'fulfilled') continue;
+            for (const bird of result.value) {
+                // Both notable species (Rare Bird Alert) AND obsReviewed are marked as 'rare' (Notable)
+                const rarity = (notableSpecies.has(bird.speciesCode) || bird.obsReviewed) ? 'rare' : 'common';
+                addSighting(allBirds, seenSightings, bird, rarity);
+            }
+        }
 
-                if (!response.ok) {
-                    console.warn(`eBird API error for point [${lat}, ${lng}]:`, response.status);
-                    continue;
-                }
+        res.json(addTaxonomy(finalizeBirds(allBirds), await getTaxonomyOrNull()));
+    } catch (error) {
+        console.error('Error fetching bird data:', error.message);
+        // Errors with a status describe a problem with the query itself
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch bird data' });
+    }
+});
+
+/**
+ * Stream bird sightings as they resolve (newline-delimited JSON)
+ * GET /api/birds/stream?coords=[[lat,lng],...]&days=14&radius=2.5[&date=2024-05-03 | &dates=...]
+ *
+ * Takes the same parameters as /api/birds. Each line is one JSON message:
+ *   { type: 'start', total }                      - number of work units
+ *   { type: 'birds', completed, total, birds }    - species found by one unit
+ *   { type: 'done', completed, total }
+ *   { type: 'error', error }
+ * In recent mode a unit is one sample point (in route order, `index` is its
+ * position); in historic mode it is one region-day query. Species can appear
+ * in several messages and must be merged by speciesCode on the client.
+ * If the client disconnects, the eBird queries still pending are dropped.
+ */
+app.get('/api/birds/stream', async (req, res) => {
+    const query = parseBirdQuery(req.query);
+    if (query.error) {
+        return res.status(400).json({ error: query.error });
+    }
 
-                const birds = await response.json();
+    const { samplePoints, days, radius, dates } = query;
 
-                // Group by species code, collecting all sightings
-                for (const bird of birds) {
-                    // Create unique key for this sighting to prevent duplicates
-                    const sightingKey = `${bird.speciesCode}-${bird.subId}`;
+    // Stop searching once the client goes away (e.g. the settings changed)
+    const clientGone = new AbortController();
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+        clientGone.abort();
+    });
 
-                    if (seenSightings.has(sightingKey)) {
-                        continue; // Skip duplicate sighting from overlapping sample points
-                    }
-                    seenSightings.add(sightingKey);
-
-                    const sighting = {
-                        obsDt: bird.obsDt,
-                        howMany: bird.howMany || 1,
-                        locName: bird.locName,
-                        subId: bird.subId,
-                        lat: bird.lat,
-                        lng: bird.lng
-                    };
-
-                    if (!allBirds.has(bird.speciesCode)) {
-                        allBirds.set(bird.speciesCode, {
-                            speciesCode: bird.speciesCode,
-                            comName: bird.comName,
-                            sciName: bird.sciName,
-                            // Both notable species (Rare Bird Alert) AND obsReviewed are marked as 'rare' (Notable)
-                            rarity: (notableSpecies.has(bird.speciesCode) || bird.obsReviewed) ? 'rare' : 'common',
-                            lat: bird.lat,
-                            lng: bird.lng,
-                            obsDt: bird.obsDt,
-                            howMany: bird.howMany || 1,
-                            locName: bird.locName,
-                            subId: bird.subId,
-                            sightings: [sighting]
-                        });
-                    } else {
-                        // Add to existing species' sightings
-                        const existing = allBirds.get(bird.speciesCode);
-                        existing.sightings.push(sighting);
-
-                        // Update primary data if this sighting is more recent
-                        if (bird.obsDt > existing.obsDt) {
-                            existing.obsDt = bird.obsDt;
-                            existing.lat = bird.lat;
-                            existing.lng = bird.lng;
-                            existing.howMany = bird.howMany || 1;
-                            existing.locName = bird.locName;
-                            existing.subId = bird.subId;
-                        }
+    res.set({
+        'Content-Type': 'application/x-ndjson; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+    });
+    res.flushHeaders();
+
+    const send = (message) => {
+        if (!closed) {
+            res.write(JSON.stringify(message) + '\n');
+        }
+    };
+
+    try {
+        const taxonomy = await getTaxonomyOrNull();
+        let completed = 0;
+
+        if (dates) {
+            let total = 0;
+            await runCancellable(clientGone.signal, () => fetchHistoricBirds(samplePoints, dates, radius, {
+                onStart: count => {
+                    total = count;
+                    send({ type: 'start', total });
+                },
+                onResult: (observations) => {
+                    const birds = new Map();
+                    const seenSightings = new Set();
+                    for (const bird of observations) {
+                        addSighting(birds, seenSightings, bird, bird.obsReviewed ? 'rare' : 'common');
                     }
+                    completed++;
+                    send({ type: 'birds', completed, total, birds: addTaxonomy(finalizeBirds(birds), taxonomy) });
                 }
-            } catch (err) {
-                console.warn('Error fetching birds for point:', err.message);
+            }));
+            send({ type: 'done', completed, total });
+            return res.end();
+        }
+
+        const total = samplePoints.length;
+        send({ type: 'start', total });
+
+        // Each sample point is reported as soon as its notable and recent queries finish
+        await runCancellable(clientGone.signal, () => Promise.all(samplePoints.map(async ([lat, lng], index) => {
+            const [notable, recent] = await Promise.all([
+                fetchNotableBirds(lat, lng, days, radius),
+                fetchRecentObservations(lat, lng, days, radius)
+            ]);
+
+            const birds = new Map();
+            const seenSightings = new Set();
+            const notableSpecies = new Set(notable.map(bird => bird.speciesCode));
+            for (const bird of notable) {
+                addSighting(birds, seenSightings, bird, 'rare');
+            }
+            for (const bird of recent) {
+                const rarity = (notableSpecies.has(bird.speciesCode) || bird.obsReviewed) ? 'rare' : 'common';
+                addSighting(birds, seenSightings, bird, rarity);
+            }
+
+            completed++;
+            send({ type: 'birds', index, completed, total, birds: addTaxonomy(finalizeBirds(birds), taxonomy) });
+        })));
+
+        send({ type: 'done', completed, total });
+        res.end();
+    } catch (error) {
+        console.error('Error streaming bird data:', error.message);
+        send({ type: 'error', error: error.status ? error.message : 'Failed to fetch bird data' });
+        res.end();
+    }
+});
+
+/**
+ * Parse and validate the shared query parameters of the bird endpoints
+ * @param {object} query - Express request query
+ * Historic queries (`date` or `dates`) come back with the list of dates to search.
+ * Anchored windows end no later than `today`, the client's local date, so they
+ * match the window the client filters sightings by
+ * @returns {object} { samplePoints, days, radius, anchorDate, dates } or { error }
+ */
+function parseBirdQuery(query) {
+    let coords;
+    try {
+        coords = JSON.parse(query.coords || '[]');
+    } catch (error) {
+        return { error: 'Invalid coordinates' };
+    }
+
+    // eBird's `back` parameter is limited to 30 days; anchored windows share the limit
+    const days = Math.min(Math.max(parseInt(query.days) || 14, 1), 30);
+    // eBird's `dist` parameter is limited to 50 km; below 1 km there's little left to search
+    const radius = Math.min(Math.max(parseFloat(query.radius) || 2.5, 1), 50);
+    const anchorDate = query.date || null;
+    const explicitDates = query.dates ? [...new Set(query.dates.split(','))].sort() : null;
+
+    if (!Array.isArray(coords) || !coords.length) {
+        return { error: 'No coordinates provided' };
+    }
+
+    if (!coords.every(isValidLatLng)) {
+        return { error: 'Invalid coordinates, expected [[lat, lng], ...]' };
+    }
+
+    if (anchorDate && !isValidDateString(anchorDate)) {
+        return { error: 'Invalid date, expected YYYY-MM-DD' };
+    }
+
+    const today = getClientToday(query.today);
+
+    if (explicitDates) {
+        if (!explicitDates.every(isValidDateString)) {
+            return { error: 'Invalid dates, expected comma-separated YYYY-MM-DD' };
+        }
+        if (explicitDates.length > MAX_QUERY_DATES) {
+            return { error: `Too many dates (maximum ${MAX_QUERY_DATES})` };
+        }
+    }
+
+    const dates = explicitDates || (anchorDate ? getDateWindow(anchorDate, days, today) : null);
+    if (dates && dates.length > MAX_QUERY_DATES) {
+        return { error: `Too many dates (maximum ${MAX_QUERY_DATES})` };
+    }
+
+    // Clients send points already spaced by distance; dense input is resampled
+    const samplePoints = sampleCoordinates(coords, radius, MAX_SAMPLE_POINTS);
+    return { samplePoints, days, radius, anchorDate, dates };
+}
+
+/**
+ * eBird hotspots near a route
+ * GET /api/hotspots?coords=[[lat,lng],...]&radius=2.5
+ *
+ * Takes the same coords and radius as /api/birds. Returns each hotspot within
+ * `radius` km of a sample point once, with locId, locName, lat, lng,
+ * countryCode, subnational1Code, numSpeciesAllTime and latestObsDt (null if
+ * never visited).
+ */
+app.get('/api/hotspots', async (req, res) => {
+    try {
+        const query = parseBirdQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+
+        const { samplePoints, radius } = query;
+        const results = await Promise.allSettled(samplePoints.map(([lat, lng]) =>
+            fetchHotspotsNear(lat, lng, radius)
+        ));
+
+        if (results.every(result => result.status === 'rejected')) {
+            console.warn(`[Hotspots] ${results[0].reason.message}`);
+            return res.status(502).json({ error: 'Failed to fetch eBird hotspots' });
+        }
+
+        const hotspots = new Map();
+        for (const result of results) {
+            if (result.status !== 'fulfilled') continue;
+            for (const hotspot of result.value) {
+                if (hotspots.has(hotspot.locId)) continue;
+                hotspots.set(hotspot.locId, {
+                    locId: hotspot.locId,
+                    locName: hotspot.locName,
+                    lat: hotspot.lat,
+                    lng: hotspot.lng,
+                    countryCode: hotspot.countryCode,
+                    subnational1Code: hotspot.subnational1Code,
+                    numSpeciesAllTime: hotspot.numSpeciesAllTime || 0,
+                    latestObsDt: hotspot.latestObsDt || null
+                });
             }
         }
 
-        // Sort sightings within each species by date (most recent first)
-        for (const bird of allBirds.values()) {
-            bird.sightings.sort((a, b) => new Date(b.obsDt) - new Date(a.obsDt));
+        res.json(Array.from(hotspots.values()));
+    } catch (error) {
+        console.error('Error fetching hotspots:', error.message);
+        res.status(500).json({ error: 'Failed to fetch eBird hotspots' });
+    }
+});
+
+/**
+ * Recent observations at an eBird hotspot
+ * GET /api/hotspots/:locId/recent?days=14
+ *
+ * Returns eBird's latest observation of each species reported at the hotspot
+ * in the last `days` days (1-30), most recent first.
+ */
+app.get('/api/hotspots/:locId/recent', async (req, res) => {
+    const locId = req.params.locId;
+    if (!/^L\d+$/.test(locId)) {
+        return res.status(400).json({ error: 'Invalid hotspot ID' });
+    }
+
+    // eBird's `back` parameter is limited to 30 days
+    const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), 30);
+
+    try {
+        const url = `https://api.ebird.org/v2/data/obs/${locId}/recent?` +
+            new URLSearchParams({ back: days });
+
+        const response = await cachedFetch('sightings', url, {
+            headers: { 'X-eBirdApiToken': EBIRD_API_KEY }
+        });
+
+        if (!response.ok) {
+            console.warn(`[Hotspots] Observations error for ${locId}: ${response.status}`);
+            return res.status(response.status === 404 ? 404 : 502).json({
+                error: 'Failed to fetch hotspot observations',
+                status: response.status
+            });
         }
 
-        res.json(Array.from(allBirds.values()));
+        const observations = (await response.json()).map(obs => ({
+            speciesCode: obs.speciesCode,
+            comName: obs.comName,
+            sciName: obs.sciName,
+            obsDt: obs.obsDt,
+            howMany: obs.howMany || null,
+            subId: obs.subId,
+            obsReviewed: !!obs.obsReviewed
+        }));
+        observations.sort((a, b) => b.obsDt.localeCompare(a.obsDt));
+
+        res.json(observations);
     } catch (error) {
-        console.error('Error fetching bird data:', error.message);
-        res.status(500).json({ error: 'Failed to fetch bird data' });
+        console.error('Error fetching hotspot observations:', error.message);
+        res.status(500).json({ error: 'Failed to fetch hotspot observations' });
+    }
+});
+
+/**
+ * eBird taxonomy for a list of species, or the whole taxonomy
+ * GET /api/taxonomy?species=amerob,spotow
+ *
+ * Returns entries with speciesCode, comName, sciName, category, taxonOrder,
+ * order and family (familyCode, familyComName, familySciName).
+ */
+app.get('/api/taxonomy', async (req, res) => {
+    try {
+        const taxonomy = await getTaxonomy();
+        const species = req.query.species;
+
+        if (!species) {
+            return res.json(Array.from(taxonomy.values()));
+        }
+
+        const entries = species.split(',')
+            .map(code => taxonomy.get(code.trim()))
+            .filter(Boolean);
+        res.json(entries);
+    } catch (error) {
+        console.error('Taxonomy error:', error.message);
+        res.status(502).json({ error: 'Failed to fetch eBird taxonomy' });
     }
 });
 
+// Parsed taxonomy (species code -> entry), reloaded when the cached copy expires
+let taxonomyPromise = null;
+let taxonomyExpiresAt = 0;
+
+/**
+ * Get the eBird taxonomy, indexed by species code
+ * The ~17,000-entry list is fetched through the response cache and parsed once
+ * @returns {Promise<Map>} Species code -> taxonomy entry
+ */
+function getTaxonomy() {
+    if (!taxonomyPromise || taxonomyExpiresAt <= Date.now()) {
+        taxonomyExpiresAt = Date.now() + CACHE_TTLS.taxonomy;
+        taxonomyPromise = loadTaxonomy().catch(error => {
+            taxonomyPromise = null; // Retry on the next request
+            throw error;
+        });
+    }
+    return taxonomyPromise;
+}
+
+/**
+ * Fetch and index the eBird taxonomy
+ * @returns {Promise<Map>} Species code -> taxonomy entry
+ */
+async function loadTaxonomy() {
+    const url = 'https://api.ebird.org/v2/ref/taxonomy/ebird?' +
+        new URLSearchParams({ fmt: 'json', locale: 'en' });
+
+    const response = await cachedFetch('taxonomy', url, {
+        headers: { 'X-eBirdApiToken': EBIRD_API_KEY }
+    });
+    if (!response.ok) {
+        throw new Error(`eBird taxonomy API error: ${response.status}`);
+    }
+
+    const taxonomy = new Map();
+    for (const taxon of await response.json()) {
+        taxonomy.set(taxon.speciesCode, {
+            speciesCode: taxon.speciesCode,
+            comName: taxon.comName,
+            sciName: taxon.sciName,
+            category: taxon.category,
+            taxonOrder: taxon.taxonOrder,
+            order: taxon.order,
+            familyCode: taxon.familyCode,
+            familyComName: taxon.familyComName,
+            familySciName: taxon.familySciName
+        });
+    }
+
+    console.log(`[Taxonomy] Loaded ${taxonomy.size} taxa`);
+    return taxonomy;
+}
+
+/**
+ * Get the taxonomy, or null if it can't be loaded (bird results are still useful without it)
+ * @returns {Promise<Map|null>} Species code -> taxonomy entry
+ */
+async function getTaxonomyOrNull() {
+    try {
+        return await getTaxonomy();
+    } catch (error) {
+        console.warn('[Taxonomy] Unavailable:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Add taxonomic order, category and family to bird results
+ * @param {array} birds - Bird objects (updated in place)
+ * @param {Map|null} taxonomy - Species code -> taxonomy entry
+ * @returns {array} The same bird objects
+ */
+function addTaxonomy(birds, taxonomy) {
+    if (!taxonomy) return birds;
+
+    for (const bird of birds) {
+        const taxon = taxonomy.get(bird.speciesCode);
+        if (!taxon) continue;
+
+        bird.taxonOrder = taxon.taxonOrder;
+        bird.category = taxon.category;
+        bird.order = taxon.order;
+        bird.familyCode = taxon.familyCode;
+        bird.familyComName = taxon.familyComName;
+        bird.familySciName = taxon.familySciName;
+    }
+    return birds;
+}
+
+/**
+ * Add an eBird observation to the species map, grouping sightings by species
+ * The species' primary data (lat/lng, date, location) tracks its most recent sighting
+ * @param {Map} allBirds - Species code -> bird object
+ * @param {Set} seenSightings - speciesCode-subId keys already added
+ * @param {object} bird - eBird observation
+ * @param {string} rarity - 'rare' | 'common'
+ */
+function addSighting(allBirds, seenSightings, bird, rarity) {
+    // Skip duplicate sightings from overlapping sample points
+    const sightingKey = `${bird.speciesCode}-${bird.subId}`;
+    if (seenSightings.has(sightingKey)) {
+        return;
+    }
+    seenSightings.add(sightingKey);
+
+    const sighting = {
+        obsDt: bird.obsDt,
+        howMany: bird.howMany || 1,
+        locName: bird.locName,
+        locId: bird.locId,
+        subId: bird.subId,
+        lat: bird.lat,
+        lng: bird.lng
+    };
+
+    if (!allBirds.has(bird.speciesCode)) {
+        allBirds.set(bird.speciesCode, {
+            speciesCode: bird.speciesCode,
+            comName: bird.comName,
+            sciName: bird.sciName,
+            rarity: rarity,
+            lat: bird.lat,
+            lng: bird.lng,
+            obsDt: bird.obsDt,
+            howMany: bird.howMany || 1,
+            locName: bird.locName,
+            locId: bird.locId,
+            subId: bird.subId,
+            sightings: [sighting]
+        });
+        return;
+    }
+
+    // Add to existing species' sightings
+    const existing = allBirds.get(bird.speciesCode);
+    existing.sightings.push(sighting);
+
+    if (rarity === 'rare') {
+        existing.rarity = 'rare';
+    }
+
+    // Update primary data if this sighting is more recent
+    if (bird.obsDt > existing.obsDt) {
+        existing.obsDt = bird.obsDt;
+        existing.lat = bird.lat;
+        existing.lng = bird.lng;
+        existing.howMany = bird.howMany || 1;
+        existing.locName = bird.locName;
+        existing.locId = bird.locId;
+        existing.subId = bird.subId;
+    }
+}
+
+/**
+ * Sort sightings within each species by date (most recent first) and return the species list
+ * @param {Map} allBirds - Species code -> bird object
+ * @returns {array} Bird objects
+ */
+function finalizeBirds(allBirds) {
+    for (const bird of allBirds.values()) {
+        bird.sightings.sort((a, b) => new Date(b.obsDt) - new Date(a.obsDt));
+    }
+    return Array.from(allBirds.values());
+}
+
+/**
+ * Fetch historic observations on a set of dates
+ * eBird's historic endpoint is per region and per day, so this resolves the
+ * county (subnational2) of each sample point, queries each county for each
+ * date, and keeps observations within `radius` of a sample point.
+ * Throws an error with status 400 when that would take more than
+ * MAX_HISTORIC_CALLS eBird calls.
+ * @param {array} samplePoints - Array of [lat, lng]
+ * @param {array} dates - Dates (YYYY-MM-DD), oldest first
+ * @param {number} radius - Search radius in km
+ * @param {object} callbacks - Optional progress callbacks for streaming
+ * @param {function} callbacks.onStart - (total) called once the region-day queries are known
+ * @param {function} callbacks.onResult - (observations, total) called as each query finishes
+ * @returns {Promise<array>} eBird observations
+ */
+async function fetchHistoricBirds(samplePoints, dates, radius, { onStart, onResult } = {}) {
+    const regionCodes = await findRegionCodes(samplePoints, radius);
+    if (regionCodes.length === 0) {
+        console.warn('[Historic] No eBird region found near route');
+        onStart?.(0);
+        return [];
+    }
+
+    console.log(`[Historic] Regions ${regionCodes.join(', ')} for ${dates[0]}..${dates[dates.length - 1]}`);
+
+    const total = regionCodes.length * dates.length;
+    if (total > MAX_HISTORIC_CALLS) {
+        const error = new Error(`Route crosses too many counties (${regionCodes.length}) to search ` +
+            `${dates.length} dates; try fewer dates or a shorter route`);
+        error.status = 400;
+        throw error;
+    }
+    const ranks = total * 2 <= MAX_HISTORIC_CALLS ? ['mrec', 'create'] : ['mrec'];
+    onStart?.(total);
+
+    const observations = [];
+    const requests = [];
+    for (const regionCode of regionCodes) {
+        for (const date of dates) {
+            requests.push(fetchHistoricObservations(regionCode, date, ranks).then(results => {
+                const nearRoute = results.filter(bird => samplePoints.some(([lat, lng]) =>
+                    distanceKm(lat, lng, bird.lat, bird.lng) <= radius
+                ));
+                observations.push(...nearRoute);
+                onResult?.(nearRoute, total);
+            }));
+        }
+    }
+    await Promise.allSettled(requests);
+
+    return observations;
+}
+
+/**
+ * Fetch observations in a region on a single date
+ * eBird's historic endpoint returns one observation per species, chosen by
+ * `rank`. The latest record of a common species is often somewhere else in
+ * the county, so when the query can afford it the first record is fetched too;
+ * a species is missed only when none of them was near the route.
+ * @param {string} regionCode - eBird region code (e.g. US-WA-033)
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {array} ranks - Ranks to fetch: 'mrec' (latest) and/or 'create' (first added)
+ * @returns {Promise<Array>} eBird observations
+ */
+async function fetchHistoricObservations(regionCode, date, ranks) {
+    const results = await Promise.all(ranks.map(rank => fetchHistoricRank(regionCode, date, rank)));
+
+    // A species reported on a single checklist comes back once per rank
+    const seen = new Set();
+    return results.flat().filter(bird => {
+        const key = `${bird.speciesCode}-${bird.subId}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Fetch one observation per species in a region on a single date
+ * @param {string} regionCode - eBird region code
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} rank - 'mrec' (latest observation) or 'create' (first added)
+ * @returns {Promise<Array>} eBird observations
+ */
+async function fetchHistoricRank(regionCode, date, rank) {
+    const [year, month, day] = date.split('-').map(Number);
+    const url = `https://api.ebird.org/v2/data/obs/${regionCode}/historic/${year}/${month}/${day}?` +
+        new URLSearchParams({
+            rank,
+            detail: 'full'
+        });
+
+    // Checklists for the last couple of days are still coming in, so cache those briefly
+    const ageMs = Date.now() - Date.parse(`${date}T00:00:00Z`);
+    const upstream = ageMs < 2 * DAY ? 'sightings' : 'historic';
+
+    try {
+        const response = await cachedFetch(upstream, url, {
+            headers: { 'X-eBirdApiToken': EBIRD_API_KEY }
+        });
+
+        if (!response.ok) {
+            console.warn(`[Historic] API error for ${regionCode} on ${date}: ${response.status}`);
+            return [];
+        }
+
+        return await response.json();
+    } catch (err) {
+        console.warn('[Historic] Error fetching historic observations:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Find the eBird county codes covering a set of points
+ * Uses the nearest eBird hotspot to each point, since eBird has no reverse-geocoding endpoint
+ * @param {array} samplePoints - Array of [lat, lng]
+ * @param {number} radius - Search radius in km
+ * @returns {Promise<array>} Unique region codes (county, or state if no county)
+ */
+async function findRegionCodes(samplePoints, radius) {
+    const lookups = samplePoints.map(async ([lat, lng]) => {
+        let hotspots;
+        try {
+            // Look a bit wider than the corridor so sparse areas still resolve
+            hotspots = await fetchHotspotsNear(lat, lng, Math.max(radius, 25));
+        } catch (error) {
+            console.warn(`[Historic] ${error.message}`);
+            return null;
+        }
+
+        let nearest = null;
+        let minDistance = Infinity;
+        for (const hotspot of hotspots) {
+            const distance = distanceKm(lat, lng, hotspot.lat, hotspot.lng);
+            if (distance < minDistance) {
+                minDistance = distance;
+                nearest = hotspot;
+            }
+        }
+        return nearest ? (nearest.subnational2Code || nearest.subnational1Code) : null;
+    });
+
+    const results = await Promise.allSettled(lookups);
+    const codes = results
+        .filter(result => result.status === 'fulfilled' && result.value)
+        .map(result => result.value);
+    return [...new Set(codes)];
+}
+
+/**
+ * Fetch eBird hotspots near a point
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} radius - Search radius in km
+ * @returns {Promise<array>} eBird hotspot records
+ */
+async function fetchHotspotsNear(lat, lng, radius) {
+    const url = `https://api.ebird.org/v2/ref/hotspot/geo?` +
+        new URLSearchParams({
+            lat: lat.toFixed(4),
+            lng: lng.toFixed(4),
+            dist: radius,
+            fmt: 'json'
+        });
+
+    const response = await cachedFetch('hotspots', url, {
+        headers: { 'X-eBirdApiToken': EBIRD_API_KEY }
+    });
+    if (!response.ok) {
+        throw new Error(`Hotspot lookup error for [${lat}, ${lng}]: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Get the client's local date, falling back to the UTC date
+ * Local dates are at most a day either side of the UTC date; anything else is ignored
+ * @param {string|undefined} value - Client's date (YYYY-MM-DD)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function getClientToday(value) {
+    const utcToday = new Date().toISOString().slice(0, 10);
+    if (!value || !isValidDateString(value)) {
+        return utcToday;
+    }
+    const offsetMs = Math.abs(Date.parse(`${value}T00:00:00Z`) - Date.parse(`${utcToday}T00:00:00Z`));
+    return offsetMs <= DAY ? value : utcToday;
+}
+
+/**
+ * Get the list of dates in a window centered on an anchor date
+ * The window is shifted back if it would extend past today, so it always
+ * covers `days` days of data
+ * @param {string} anchorDate - Anchor date (YYYY-MM-DD)
+ * @param {number} days - Window length in days
+ * @param {string} todayDate - Last date the window may include (YYYY-MM-DD)
+ * @returns {array} Dates (YYYY-MM-DD), oldest first
+ */
+function getDateWindow(anchorDate, days, todayDate) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const anchor = Date.parse(`${anchorDate}T00:00:00Z`);
+    const today = Date.parse(`${todayDate}T00:00:00Z`);
+
+    const end = Math.min(anchor + Math.floor(days / 2) * DAY_MS, today);
+    const dates = [];
+    for (let i = days - 1; i >= 0; i--) {
+        dates.push(new Date(end - i * DAY_MS).toISOString().slice(0, 10));
+    }
+    return dates;
+}
+
+/**
+ * Check for a valid YYYY-MM-DD date string
+ */
+function isValidDateString(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+/**
+ * Calculate distance between two points using Haversine formula (in km)
+ */
+function distanceKm(lat1, lng1, lat2, lng2) {
+    const R = 6371; // Earth's radius in km
+    const toRad = deg => deg * (Math.PI / 180);
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Fetch recent bird observations from eBird API
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} days - Number of days to look back
+ * @param {number} radius - Search radius in km
+ * @returns {Promise<Array>} Recent bird observations
+ */
+async function fetchRecentObservations(lat, lng, days, radius) {
+    try {
+        const url = `https://api.ebird.org/v2/data/obs/geo/recent?` +
+            new URLSearchParams({
+                lat: lat.toFixed(4),
+                lng: lng.toFixed(4),
+                dist: radius,
+                back: days
+            });
+
+        const response = await cachedFetch('sightings', url, {
+            headers: {
+                'X-eBirdApiToken': EBIRD_API_KEY
+            }
+        });
+
+        if (!response.ok) {
+            console.warn(`eBird API error for point [${lat}, ${lng}]:`, response.status);
+            return [];
+        }
+
+        return await response.json();
+    } catch (err) {
+        console.warn('Error fetching birds for point:', err.message);
+        return [];
+    }
+}
+
 /**
  * Fetch notable bird species from eBird API
  * @param {number} lat - Latitude
@@ -256,7 +1456,7 @@ async function fetchNotableBirds(lat, lng, days, radius) {
 
         console.log(`[Notable] Fetching: ${url}`);
 
-        const response = await fetch(url, {
+        const response = await cachedFetch('sightings', url, {
             headers: { 'X-eBirdApiToken': EBIRD_API_KEY }
         });
 
@@ -289,7 +1489,7 @@ async function searchMacaulayByTaxon(speciesCode) {
             count: 1
         });
 
-    const response = await fetch(url, {
+    const response = await cachedFetch('photos', url, {
         headers: {
             'User-Agent': 'BirdRide/1.0 (Bird watching route app)',
             'Accept': 'application/json'
@@ -327,7 +1527,7 @@ async function searchMacaulayByName(comName) {
             count: 1
         });
 
-    const response = await fetch(url, {
+    const response = await cachedFetch('photos', url, {
         headers: {
             'User-Agent': 'BirdRide/1.0 (Bird watching route app)',
             'Accept': 'application/json'
@@ -397,7 +1597,7 @@ app.get('/api/hero-image/:speciesCode', async (req, res) => {
                 limit: '1'
             });
 
-        const catalogResponse = await fetch(catalogUrl, {
+        const catalogResponse = await cachedFetch('photos', catalogUrl, {
             headers: {
                 'User-Agent': 'BirdRide/1.0 (Bird watching route app)',
                 'Accept': 'application/json'
@@ -471,7 +1671,7 @@ app.get('/api/geocode', async (req, res) => {
                 countrycodes: 'us'
             });
 
-        const response = await fetch(url, {
+        const response = await cachedFetch('geocode', url, {
             headers: {
                 'User-Agent': 'BirdRide/1.0 (Bird watching route app)'
             }
@@ -651,7 +1851,7 @@ app.get('/api/region-routes', async (req, res) => {
         const url = `https://ridewithgps.com/regions/north_america/us/${regionSlug}.json`;
         console.log(`[Region Routes] Fetching: ${url}`);
 
-        const response = await fetch(url, {
+        const response = await cachedFetch('regionRoutes', url, {
             headers: {
                 'User-Agent': 'BirdRide/1.0 (Bird watching route app)',
                 'Accept': 'application/json'
@@ -693,19 +1893,56 @@ app.get('/api/region-routes', async (req, res) => {
 });
 
 /**
- * Sample coordinates evenly along a route
+ * Sample coordinates evenly by distance along a route
+ * Only used for dense input: clients send points already spaced so their
+ * circles cover the whole corridor (see sampleRoutePoints in routeService.js).
+ * The server doesn't know the corridor width, so spacing here is 2x the search
+ * radius, which only covers the route's centerline; when that needs more than
+ * maxPoints, spacing grows and the uncovered stretches are logged.
+ * @param {array} coords - [lat, lng] points along the route
+ * @param {number} radius - Search radius around each sample (km)
+ * @param {number} maxPoints - Maximum number of samples
+ * @returns {array} Sampled [lat, lng] points
  */
-function sampleCoordinates(coords, maxPoints) {
+function sampleCoordinates(coords, radius, maxPoints) {
     if (coords.length <= maxPoints) {
         return coords;
     }
 
-    const step = Math.floor(coords.length / maxPoints);
+    // Cumulative distance along the route
+    const cumulative = [0];
+    for (let i = 1; i < coords.length; i++) {
+        const [lat1, lng1] = coords[i - 1];
+        const [lat2, lng2] = coords[i];
+        cumulative.push(cumulative[i - 1] + distanceKm(lat1, lng1, lat2, lng2));
+    }
+    const totalKm = cumulative[cumulative.length - 1];
+
+    if (totalKm === 0) {
+        return [coords[0]];
+    }
+
+    const count = Math.min(Math.ceil(totalKm / (2 * radius)), maxPoints);
+    const spacingKm = totalKm / count;
     const sampled = [];
+    let segment = 1;
 
-    for (let i = 0; i < coords.length; i += step) {
-        sampled.push(coords[i]);
-        if (sampled.length >= maxPoints) break;
+    for (let i = 0; i < count; i++) {
+        const target = (i + 0.5) * spacingKm;
+        while (segment < cumulative.length - 1 && cumulative[segment] < target) {
+            segment++;
+        }
+
+        const segmentKm = cumulative[segment] - cumulative[segment - 1];
+        const t = segmentKm > 0 ? (target - cumulative[segment - 1]) / segmentKm : 0;
+        const [lat1, lng1] = coords[segment - 1];
+        const [lat2, lng2] = coords[segment];
+        sampled.push([lat1 + (lat2 - lat1) * t, lng1 + (lng2 - lng1) * t]);
+    }
+
+    if (spacingKm > 2 * radius) {
+        const coveredKm = Math.min(totalKm, count * 2 * radius);
+        console.log(`[Sampling] ${totalKm.toFixed(1)} km route: ${count} points cover ${coveredKm.toFixed(1)} km`);
     }
 
     return sampled;
@@ -719,6 +1956,10 @@ app.get('/route/:id', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+app.get('/trip/:id', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
 // Catch-all for any other routes - serve index.html
 app.get('*', (req, res) => {
     // Only serve index.html for non-file requests
@@ -0,0 +1,7 @@
+/**
+ * Provide the browser's DOMParser for the XML route parsers (GPX, TCX)
+ */
+
+import { JSDOM } from 'jsdom';
+
+globalThis.DOMParser = new JSDOM().window.DOMParser;
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { groupChecklists, formatEbirdRecordCsv } from '../js/utils/ebirdChecklists.js';
+import { getPointAtDistance } from '../js/utils/routeGeometry.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// About 13.8 miles due north, one point per 0.01°
+const routeCoords = Array.from({ length: 21 }, (_, i) => [40 + i * 0.01, -100]);
+const hotspots = [
+    { lat: 40.05, lng: -100.01, countryCode: 'US', subnational1Code: 'US-NE' },
+    { lat: 45, lng: -100, countryCode: 'US', subnational1Code: 'US-SD' }
+];
+
+/**
+ * A logged sighting at a local time on May 3, 2024
+ */
+function sighting(speciesCode, hours, minutes, routeMile, extra = {}) {
+    return {
+        speciesCode,
+        comName: speciesCode === 'baleag' ? 'Bald Eagle' : 'Western Meadowlark',
+        sciName: speciesCode === 'baleag' ? 'Haliaeetus leucocephalus' : 'Sturnella neglecta',
+        count: 1,
+        note: '',
+        observedAt: new Date(2024, 4, 3, hours, minutes).getTime(),
+        routeMile,
+        ...extra
+    };
+}
+
+test('splits checklists on long gaps and long stretches of route', () => {
+    const checklists = groupChecklists([
+        sighting('wesmea', 8, 10, 2, { count: 2, note: 'singing' }),
+        sighting('baleag', 8, 0, 1),
+        sighting('wesmea', 8, 20, 2.5, { note: 'on a fence' }),
+        // More than an hour after the last sighting
+        sighting('baleag', 9, 30, 3),
+        // More than 5 miles from the start of the checklist
+        sighting('baleag', 9, 35, 8.5)
+    ], { route: { track_points: [] }, routeCoords, hotspots });
+
+    assert.equal(checklists.length, 3);
+
+    const [first, second, third] = checklists;
+    assert.equal(first.startTime, new Date(2024, 4, 3, 8, 0).getTime());
+    assert.equal(first.durationMinutes, 20);
+    assert.equal(first.startMile, 1);
+    assert.equal(first.endMile, 2.5);
+    assert.equal(first.distanceMiles, 1.5);
+    assert.deepEqual([first.lat, first.lng], Object.values(getPointAtDistance(routeCoords, 1)));
+    assert.equal(first.countryCode, 'US');
+    assert.equal(first.stateCode, 'NE');
+    assert.deepEqual(first.species, [
+        { comName: 'Bald Eagle', sciName: 'Haliaeetus leucocephalus', count: 1, comments: '' },
+        { comName: 'Western Meadowlark', sciName: 'Sturnella neglecta', count: 3, comments: 'singing; on a fence' }
+    ]);
+
+    // A single sighting still gets a duration and a distance
+    assert.equal(second.durationMinutes, 1);
+    assert.equal(second.distanceMiles, 0.1);
+    assert.equal(third.startMile, 8.5);
+});
+
+test('starts a new checklist on another day', () => {
+    const checklists = groupChecklists([
+        sighting('baleag', 23, 50, 1),
+        { ...sighting('baleag', 0, 0, 1.2), observedAt: new Date(2024, 4, 4, 0, 5).getTime() }
+    ], { route: {}, routeCoords, hotspots: [] });
+
+    assert.equal(checklists.length, 2);
+    assert.equal(checklists[0].countryCode, '');
+});
+
+test('times checklists from the recorded track when logged during the ride', () => {
+    // The track passes each point a minute after the last, starting at 8:00
+    const rideStart = new Date(2024, 4, 3, 8, 0).getTime() / 1000;
+    const route = { track_points: routeCoords.map(([y, x], i) => ({ x, y, t: rideStart + i * 60 })) };
+    const mileAtPoint = index => index * 0.01 * 69.09;
+
+    const [checklist] = groupChecklists([
+        // Logged a few minutes late, after passing points 2 and 6
+        sighting('baleag', 8, 5, mileAtPoint(2)),
+        sighting('wesmea', 8, 9, mileAtPoint(6))
+    ], { route, routeCoords, hotspots });
+
+    assert.ok(Math.abs(checklist.startTime - (rideStart + 120) * 1000) < 1000);
+    assert.equal(checklist.durationMinutes, 4);
+});
+
+test('writes one eBird Record Format row per species', () => {
+    const csv = formatEbirdRecordCsv([{
+        startTime: new Date(2024, 4, 3, 8, 5).getTime(),
+        durationMinutes: 20,
+        startMile: 1,
+        endMile: 2.5,
+        distanceMiles: 1.5,
+        lat: 40.0144751,
+        lng: -100,
+        countryCode: 'US',
+        stateCode: 'NE',
+        species: [
+            { comName: 'Bald Eagle', sciName: 'Haliaeetus leucocephalus', count: 1, comments: '' },
+            { comName: 'Dark-eyed Junco', sciName: 'Junco hyemalis oreganus', count: 3, comments: 'singing, "chip" notes' }
+        ]
+    }, {
+        startTime: new Date(2024, 4, 3, 9, 30).getTime(),
+        durationMinutes: 1,
+        startMile: 3,
+        endMile: 3,
+        distanceMiles: 0.1,
+        lat: 40.04,
+        lng: -100,
+        countryCode: '',
+        stateCode: '',
+        species: [{ comName: 'Bald Eagle', sciName: 'Haliaeetus leucocephalus', count: 2, comments: '' }]
+    }], 'Platte Loop');
+
+    const comments = miles => `Birds logged while cycling Platte Loop (${miles}) with BirdRide. Not every bird was recorded.`;
+    assert.equal(csv, [
+        `Bald Eagle,Haliaeetus,leucocephalus,1,,Platte Loop mi 1.0-2.5,40.014475,-100.000000,05/03/2024,08:05,NE,US,Traveling,1,20,N,1.50,,${comments('mi 1.0-2.5')}`,
+        `Dark-eyed Junco,Junco,hyemalis oreganus,3,"singing, ""chip"" notes",Platte Loop mi 1.0-2.5,40.014475,-100.000000,05/03/2024,08:05,NE,US,Traveling,1,20,N,1.50,,${comments('mi 1.0-2.5')}`,
+        `Bald Eagle,Haliaeetus,leucocephalus,2,,Platte Loop mi 3.0,40.040000,-100.000000,05/03/2024,09:30,,,Traveling,1,1,N,0.10,,${comments('mi 3.0')}`,
+        ''
+    ].join('\r\n'));
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './dom.mjs';
+import { parseGpx } from '../js/services/gpxParser.js';
+
+const TRACK_GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>Lake Loop</name><desc>Morning ride</desc></metadata>
+  <trk>
+    <name>Track name</name>
+    <trkseg>
+      <trkpt lat="47.6000" lon="-122.3000"><ele>10</ele><time>2024-05-03T15:00:00Z</time></trkpt>
+      <trkpt lat="47.6100" lon="-122.3000"><ele>20</ele><time>2024-05-03T15:05:00Z</time></trkpt>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="47.7000" lon="-122.3000"><ele>15</ele></trkpt>
+      <trkpt lat="47.7100" lon="-122.3000"><ele>5</ele></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+test('parses track segments into track points', () => {
+    const route = parseGpx(TRACK_GPX, 'file.gpx');
+
+    assert.equal(route.name, 'Lake Loop');
+    assert.equal(route.description, 'Morning ride');
+    assert.equal(route.track_points.length, 4);
+    assert.deepEqual(route.track_points[0], { x: -122.3, y: 47.6, d: 0, e: 10, t: Date.parse('2024-05-03T15:00:00Z') / 1000 });
+    assert.equal(route.track_points[2].t, undefined);
+    assert.match(route.id, /^file-[a-z0-9]+$/);
+});
+
+test('does not count the gap between segments as distance', () => {
+    const route = parseGpx(TRACK_GPX);
+
+    // Two 0.01° steps of latitude, about 1.1 km each
+    assert.ok(Math.abs(route.distance - 2224) < 5, `distance was ${route.distance}`);
+    assert.equal(route.elevation_gain, 10);
+    assert.equal(route.elevation_loss, 10);
+});
+
+test('falls back to route points, then waypoints', () => {
+    const rte = parseGpx(`<gpx><rte><name>Planned</name>
+        <rtept lat="1" lon="2"/><rtept lat="1.01" lon="2"/></rte></gpx>`);
+    assert.equal(rte.name, 'Planned');
+    assert.equal(rte.track_points.length, 2);
+
+    const wpt = parseGpx('<gpx><wpt lat="1" lon="2"/><wpt lat="1.01" lon="2"/><wpt lat="1.02" lon="2"/></gpx>', 'Waypoints');
+    assert.equal(wpt.name, 'Waypoints');
+    assert.equal(wpt.track_points.length, 3);
+});
+
+test('gives the same ID to the same track', () => {
+    assert.equal(parseGpx(TRACK_GPX).id, parseGpx(TRACK_GPX.replace('Lake Loop', 'Renamed')).id);
+});
+
+test('rejects documents that are not usable GPX', () => {
+    assert.throws(() => parseGpx('<gpx><trk>'), /not a valid GPX document/);
+    assert.throws(() => parseGpx('<kml></kml>'), /not a valid GPX document/);
+    assert.throws(() => parseGpx('<gpx></gpx>'), /no tracks, routes or waypoints/);
+    assert.throws(() => parseGpx('<gpx><wpt lat="x" lon="2"/></gpx>'), /without valid coordinates/);
+    assert.throws(() => parseGpx('<gpx><wpt lat="1" lon="2"/></gpx>'), /at least two points/);
+});
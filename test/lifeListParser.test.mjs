@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLifeList } from '../js/services/lifeListParser.js';
+import { createLifeList, markLifeList } from '../js/utils/lifeListTargets.js';
+
+test('reads the My eBird life list download', () => {
+    const csv = '\uFEFFRow #,Taxon Order,Category,Common Name,Scientific Name,Count,Location,S/P,Date,LocID,SubID,Exotic,Countable\r\n' +
+        '1,6616,species,Bald Eagle,Haliaeetus leucocephalus,2,"Discovery Park, Seattle",US-WA,03 May 2024,L123,S456,,1\r\n' +
+        '2,31870,issf,Dark-eyed Junco (Oregon),Junco hyemalis [oreganus Group],1,"Seattle, ""Home""",US-WA,04 May 2024,L1,S2,,1\r\n' +
+        '\r\n';
+
+    assert.deepEqual(parseLifeList(csv), [
+        { comName: 'Bald Eagle', sciName: 'haliaeetus leucocephalus' },
+        { comName: 'Dark-eyed Junco', sciName: 'junco hyemalis' }
+    ]);
+});
+
+test('reads the full data download, one species per row group', () => {
+    const csv = [
+        'Submission ID,Common Name,Scientific Name,Taxonomic Order,Count,State/Province,Location',
+        'S1,American Robin,Turdus migratorius,30000,3,US-WA,"Line one\nline two"',
+        'S1,gull sp.,Larinae sp.,5000,1,US-WA,Park',
+        'S1,Mallard x American Black Duck (hybrid),Anas platyrhynchos x rubripes,400,1,US-WA,Park',
+        'S1,Greater/Lesser Scaup,Aythya marila/affinis,450,1,US-WA,Park',
+        'S2,American Robin,Turdus migratorius,30000,5,US-WA,Park',
+        'S2,Dark-eyed Junco (Slate-colored),Junco hyemalis hyemalis/carolinensis,31800,1,US-WA,Park',
+        'S2,Dark-eyed Junco,Junco hyemalis,31790,1,US-WA,Park'
+    ].join('\n');
+
+    assert.deepEqual(parseLifeList(csv), [
+        { comName: 'American Robin', sciName: 'turdus migratorius' },
+        { comName: 'Dark-eyed Junco', sciName: 'junco hyemalis' }
+    ]);
+});
+
+test('skips uncountable taxonomy categories', () => {
+    const csv = 'Category,Common Name,Scientific Name\n' +
+        'domestic,Graylag Goose (Domestic type),Anser anser (Domestic type)\n' +
+        'spuh,duck sp.,Anatinae sp.\n' +
+        'species,Wood Duck,Aix sponsa\n';
+
+    assert.deepEqual(parseLifeList(csv), [{ comName: 'Wood Duck', sciName: 'aix sponsa' }]);
+});
+
+test('rejects files that are not eBird exports', () => {
+    assert.throws(() => parseLifeList(''), /The file is empty/);
+    assert.throws(() => parseLifeList('Name,Count\nRobin,1'), /"Common Name" and "Scientific Name" columns/);
+    assert.throws(() => parseLifeList('Common Name,Scientific Name\ngull sp.,Larinae sp.'), /No species found/);
+});
+
+test('marks birds seen by scientific or common name, and the rest as targets', () => {
+    const lifeList = createLifeList({
+        species: parseLifeList('Common Name,Scientific Name\nBald Eagle,Haliaeetus leucocephalus\nWestern Flycatcher,Empidonax difficilis'),
+        fileName: 'life.csv',
+        importedAt: 0
+    });
+
+    const birds = markLifeList([
+        { comName: 'Bald Eagle', sciName: 'Haliaeetus leucocephalus' },
+        // Renamed after a split but kept its English name on the list
+        { comName: 'Western Flycatcher', sciName: 'Empidonax occidentalis' },
+        { comName: 'Osprey', sciName: 'Pandion haliaetus' },
+        { comName: 'gull sp.', sciName: 'Larinae sp.', category: 'spuh' }
+    ], lifeList);
+
+    assert.equal(lifeList.count, 2);
+    assert.deepEqual(birds.map(bird => bird.lifeListStatus), ['seen', 'seen', 'target', null]);
+    assert.equal(markLifeList(birds, null)[0].lifeListStatus, null);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getRouteIndex, findNearestPointOnRoute, getDistanceToRoute, getDistanceAlongRoute,
+    getRouteLength, getPointAtDistance, getPositionAtDistance
+} from '../js/utils/routeGeometry.js';
+
+/**
+ * Seeded random numbers, so failures are reproducible
+ */
+function seededRandom(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+/**
+ * Haversine distance in miles, measured independently of the module under test
+ */
+function miles(lat1, lng1, lat2, lng2) {
+    const toRad = degrees => degrees * Math.PI / 180;
+    const a = Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+    return 2 * 3959 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Nearest distance to the route by checking every segment in a local flat projection,
+ * measured to the nearest point found
+ */
+function bruteForceDistance(route, lat, lng) {
+    const kmPerDegreeLng = 111.32 * Math.cos(lat * Math.PI / 180);
+    const project = ([pointLat, pointLng]) => [(pointLng - lng) * kmPerDegreeLng, (pointLat - lat) * 110.574];
+
+    let best = { distance: Infinity };
+    for (let i = 0; i < route.length - 1; i++) {
+        const [x1, y1] = project(route[i]);
+        const [x2, y2] = project(route[i + 1]);
+        const lengthSq = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(x1 * (x2 - x1) + y1 * (y2 - y1)) / lengthSq)) : 0;
+        const distance = Math.hypot(x1 + t * (x2 - x1), y1 + t * (y2 - y1));
+        if (distance < best.distance) {
+            best = { distance, i, t };
+        }
+    }
+
+    const [lat1, lng1] = route[best.i];
+    const [lat2, lng2] = route[best.i + 1];
+    return miles(lat, lng, lat1 + best.t * (lat2 - lat1), lng1 + best.t * (lng2 - lng1));
+}
+
+// A wandering ~60 km route around Seattle that doubles back near itself
+const random = seededRandom(42);
+const wanderingRoute = [[47.6, -122.3]];
+for (let i = 0; i < 300; i++) {
+    const [lat, lng] = wanderingRoute[wanderingRoute.length - 1];
+    const heading = i / 40 + random() * 0.8;
+    wanderingRoute.push([lat + Math.cos(heading) * 0.0018, lng + Math.sin(heading) * 0.0027]);
+}
+
+test('finds the same nearest distance as checking every segment', () => {
+    const queries = seededRandom(7);
+    for (let i = 0; i < 200; i++) {
+        // Mostly near the route, some far outside the searched rings
+        const spread = i % 10 === 0 ? 1.5 : 0.15;
+        const lat = 47.6 + (queries() - 0.5) * spread;
+        const lng = -122.3 + (queries() - 0.5) * spread;
+
+        const expected = bruteForceDistance(wanderingRoute, lat, lng);
+        const actual = getDistanceToRoute(wanderingRoute, lat, lng);
+        assert.ok(Math.abs(actual - expected) < Math.max(0.001, expected * 0.002),
+            `at ${lat}, ${lng}: got ${actual} mi, expected ${expected} mi`);
+    }
+});
+
+test('reports the nearest point and how far along the route it is', () => {
+    // 0.1° of latitude north, then 0.1° of longitude east
+    const route = [[40, -100], [40.1, -100], [40.1, -99.9]];
+    const firstLeg = miles(40, -100, 40.1, -100);
+
+    const nearest = findNearestPointOnRoute(route, 40.05, -100.01);
+    assert.equal(nearest.segmentIndex, 0);
+    assert.ok(Math.abs(nearest.lat - 40.05) < 1e-4);
+    assert.ok(Math.abs(nearest.lng + 100) < 1e-9);
+    assert.ok(Math.abs(nearest.distance - miles(40.05, -100.01, 40.05, -100)) < 1e-3);
+    assert.ok(Math.abs(nearest.alongRoute - firstLeg / 2) < 0.01);
+
+    const alongSecondLeg = getDistanceAlongRoute(route, 40.11, -99.95);
+    assert.ok(Math.abs(alongSecondLeg - (firstLeg + miles(40.1, -100, 40.1, -99.95))) < 0.01);
+});
+
+test('walks to a distance along the route and back', () => {
+    const length = getRouteLength(wanderingRoute);
+    const total = wanderingRoute.slice(1).reduce((sum, point, i) => sum + miles(...wanderingRoute[i], ...point), 0);
+    assert.ok(Math.abs(length - total) < 1e-9);
+
+    for (const fraction of [0.1, 0.37, 0.5, 0.92]) {
+        const point = getPointAtDistance(wanderingRoute, length * fraction);
+        assert.ok(getDistanceToRoute(wanderingRoute, point.lat, point.lng) < 1e-6);
+    }
+
+    // Distances past either end are clamped to the route
+    assert.deepEqual(getPositionAtDistance(wanderingRoute, -5), { segmentIndex: 0, t: 0 });
+    assert.deepEqual(getPositionAtDistance(wanderingRoute, length + 5), { segmentIndex: wanderingRoute.length - 2, t: 1 });
+});
+
+test('builds each index once per coordinates array', () => {
+    const route = wanderingRoute.slice();
+    assert.equal(getRouteIndex(route), getRouteIndex(route));
+    assert.notEqual(getRouteIndex(route), getRouteIndex(wanderingRoute));
+});
+
+test('handles empty and single-point routes', () => {
+    assert.equal(findNearestPointOnRoute([], 0, 0), null);
+    assert.equal(getDistanceToRoute([], 0, 0), Infinity);
+    assert.equal(getDistanceAlongRoute([], 0, 0), 0);
+    assert.equal(getRouteLength([]), 0);
+    assert.equal(getPointAtDistance([], 1), null);
+
+    const single = [[10, 20]];
+    assert.ok(Math.abs(getDistanceToRoute(single, 10, 20.01) - miles(10, 20, 10, 20.01)) < 1e-3);
+    assert.deepEqual(getPointAtDistance(single, 3), { lat: 10, lng: 20 });
+});
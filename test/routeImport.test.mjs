@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './dom.mjs';
+import { importRouteFile, detectRouteParser, getAcceptedExtensions } from '../js/services/routeImport.js';
+import { parseTcx } from '../js/services/tcxParser.js';
+import { parseFit } from '../js/services/fitParser.js';
+import { parseGeoJson } from '../js/services/geoJsonParser.js';
+
+const FIT_EPOCH_OFFSET = 631065600;
+
+/**
+ * Build a FIT file from messages: { define: [local, globalNum, [[num, size, baseType], ...]] }
+ * or { data: [local, [[value, size, kind], ...]] } where kind is 'u', 's' or 'str'
+ */
+function buildFit(messages) {
+    const body = [];
+    for (const message of messages) {
+        if (message.define) {
+            const [local, globalNum, fields] = message.define;
+            body.push(0x40 | local, 0, 0, globalNum & 0xFF, globalNum >> 8, fields.length);
+            for (const field of fields) body.push(...field);
+        } else {
+            const [header, values] = message.data;
+            body.push(header);
+            for (const [value, size, kind] of values) {
+                if (kind === 'str') {
+                    const text = new TextEncoder().encode(value);
+                    for (let i = 0; i < size; i++) body.push(text[i] || 0);
+                    continue;
+                }
+                const bytes = new DataView(new ArrayBuffer(size));
+                if (size === 1) bytes.setUint8(0, value);
+                else if (size === 2) bytes.setUint16(0, value, true);
+                else if (kind === 's') bytes.setInt32(0, value, true);
+                else bytes.setUint32(0, value, true);
+                body.push(...new Uint8Array(bytes.buffer));
+            }
+        }
+    }
+
+    const header = new DataView(new ArrayBuffer(14));
+    header.setUint8(0, 14);
+    header.setUint8(1, 0x10);
+    header.setUint32(4, body.length, true);
+    [...'.FIT'].forEach((c, i) => header.setUint8(8 + i, c.charCodeAt(0)));
+    return new Uint8Array([...new Uint8Array(header.buffer), ...body]).buffer;
+}
+
+const toSemicircles = degrees => Math.round(degrees / (180 / 2 ** 31));
+const fitTime = iso => Date.parse(iso) / 1000 - FIT_EPOCH_OFFSET;
+
+const RECORD_DEFINITION = { define: [0, 20, [[253, 4, 0x86], [0, 4, 0x85], [1, 4, 0x85], [2, 2, 0x84]]] };
+const record = (header, iso, lat, lng, ele) => ({
+    data: [header, [[fitTime(iso), 4, 'u'], [toSemicircles(lat), 4, 's'], [toSemicircles(lng), 4, 's'], [(ele + 500) * 5, 2, 'u']]]
+});
+
+test('FIT: reads records, the course name and timer stops', () => {
+    const buffer = buildFit([
+        { define: [2, 31, [[5, 16, 7]]] },
+        { data: [2, [['Hill Repeats', 16, 'str']]] },
+        RECORD_DEFINITION,
+        record(0, '2024-05-03T15:00:00Z', 47.6, -122.3, 10),
+        record(0, '2024-05-03T15:01:00Z', 47.61, -122.3, 30),
+        { define: [1, 21, [[0, 1, 0], [1, 1, 0]]] },
+        { data: [1, [[0, 1, 'u'], [1, 1, 'u']]] },  // timer stop
+        record(0, '2024-05-03T15:30:00Z', 47.7, -122.3, 20),
+        record(0, '2024-05-03T15:31:00Z', 47.71, -122.3, 20)
+    ]);
+
+    const route = parseFit(buffer, 'ride');
+    assert.equal(route.name, 'Hill Repeats');
+    assert.equal(route.track_points.length, 4);
+
+    const first = route.track_points[0];
+    assert.ok(Math.abs(first.y - 47.6) < 1e-6 && Math.abs(first.x + 122.3) < 1e-6);
+    assert.equal(first.e, 10);
+    assert.equal(first.t, Date.parse('2024-05-03T15:00:00Z') / 1000);
+
+    // The gap between the two timer segments isn't counted
+    assert.ok(Math.abs(route.distance - 2224) < 5, `distance was ${route.distance}`);
+});
+
+test('FIT: fills in compressed timestamps from the last full one', () => {
+    const base = fitTime('2024-05-03T15:00:00Z');
+    const buffer = buildFit([
+        RECORD_DEFINITION,
+        record(0, '2024-05-03T15:00:00Z', 47.6, -122.3, 10),
+        // Compressed header: local type 0, 5-bit time offset
+        { define: [1, 20, [[0, 4, 0x85], [1, 4, 0x85]]] },
+        { data: [0x80 | (1 << 5) | ((base + 5) & 0x1F), [[toSemicircles(47.61), 4, 's'], [toSemicircles(-122.3), 4, 's']]] }
+    ]);
+
+    const route = parseFit(buffer);
+    assert.equal(route.track_points[1].t, Date.parse('2024-05-03T15:00:05Z') / 1000);
+});
+
+test('FIT: rejects other files and files without positions', () => {
+    assert.throws(() => parseFit(new TextEncoder().encode('<gpx></gpx>').buffer), /not a valid FIT file/);
+    assert.throws(() => parseFit(buildFit([{ define: [0, 21, [[0, 1, 0]]] }, { data: [0, [[0, 1, 'u']]] }])), /no GPS records/);
+    assert.throws(() => parseFit(buildFit([{ data: [3, []] }])), /undefined message type/);
+});
+
+test('TCX: reads positioned trackpoints and the course name', () => {
+    const route = parseTcx(`<?xml version="1.0"?>
+        <TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+          <Courses><Course><Name>River Path</Name><Track>
+            <Trackpoint><Time>2024-05-03T15:00:00Z</Time>
+              <Position><LatitudeDegrees>47.6</LatitudeDegrees><LongitudeDegrees>-122.3</LongitudeDegrees></Position>
+              <AltitudeMeters>12</AltitudeMeters></Trackpoint>
+            <Trackpoint><Time>2024-05-03T15:00:30Z</Time></Trackpoint>
+            <Trackpoint><Time>2024-05-03T15:01:00Z</Time>
+              <Position><LatitudeDegrees>47.61</LatitudeDegrees><LongitudeDegrees>-122.3</LongitudeDegrees></Position></Trackpoint>
+          </Track></Course></Courses>
+        </TrainingCenterDatabase>`);
+
+    assert.equal(route.name, 'River Path');
+    assert.equal(route.track_points.length, 2);
+    assert.equal(route.track_points[0].e, 12);
+    assert.equal(route.track_points[1].e, undefined);
+    assert.equal(route.track_points[1].t, Date.parse('2024-05-03T15:01:00Z') / 1000);
+});
+
+test('TCX: names activities by sport and date', () => {
+    const route = parseTcx(`<TrainingCenterDatabase><Activities><Activity Sport="Biking">
+        <Id>2024-05-03T15:00:00Z</Id><Lap><Track>
+          <Trackpoint><Position><LatitudeDegrees>1</LatitudeDegrees><LongitudeDegrees>2</LongitudeDegrees></Position></Trackpoint>
+          <Trackpoint><Position><LatitudeDegrees>1.01</LatitudeDegrees><LongitudeDegrees>2</LongitudeDegrees></Position></Trackpoint>
+        </Track></Lap></Activity></Activities></TrainingCenterDatabase>`);
+    assert.match(route.name, /^Biking May \d, 2024$/);
+
+    assert.throws(() => parseTcx('<TrainingCenterDatabase/>'), /no track points with positions/);
+    assert.throws(() => parseTcx('<gpx/>'), /not a valid TCX document/);
+});
+
+test('GeoJSON: reads LineStrings and MultiLineStrings as segments', () => {
+    const route = parseGeoJson(JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: { name: 'Canal Loop' }, geometry: { type: 'LineString', coordinates: [[-122.3, 47.6, 5], [-122.3, 47.61, 8]] } },
+            { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [0, 0] } },
+            { type: 'Feature', properties: {}, geometry: { type: 'MultiLineString', coordinates: [[[-122.3, 47.7], [-122.3, 47.71]]] } }
+        ]
+    }), 'file');
+
+    assert.equal(route.name, 'Canal Loop');
+    assert.deepEqual(route.track_points.map(pt => [pt.y, pt.x]), [[47.6, -122.3], [47.61, -122.3], [47.7, -122.3], [47.71, -122.3]]);
+    assert.equal(route.track_points[1].e, 8);
+    assert.ok(Math.abs(route.distance - 2224) < 5);
+});
+
+test('GeoJSON: rejects invalid JSON and files without lines', () => {
+    assert.throws(() => parseGeoJson('{'), /not valid GeoJSON/);
+    assert.throws(() => parseGeoJson('{"type":"Point","coordinates":[0,0]}'), /no LineString geometry/);
+    assert.throws(() => parseGeoJson('{"type":"LineString","coordinates":[["a","b"],[1,2]]}'), /without valid coordinates/);
+});
+
+test('detects the format by extension, then by content', () => {
+    const text = '<?xml version="1.0"?>\n<gpx version="1.1"></gpx>';
+    const bytes = new TextEncoder().encode(text);
+    assert.equal(detectRouteParser('ride.GPX', bytes, text).format, 'gpx');
+    assert.equal(detectRouteParser('export', bytes, text).format, 'gpx');
+    assert.equal(detectRouteParser('route.json', bytes, text).format, 'geojson');
+
+    const fit = new Uint8Array(buildFit([]));
+    assert.equal(detectRouteParser('activity.bin', fit, '').format, 'fit');
+    assert.equal(detectRouteParser('notes.txt', new Uint8Array(), 'hello'), null);
+
+    assert.deepEqual(getAcceptedExtensions(), ['.gpx', '.tcx', '.fit', '.geojson', '.json']);
+});
+
+test('imports a file, naming the route after it when the file has no name', async () => {
+    const geojson = '{"type":"LineString","coordinates":[[2,1],[2,1.01]]}';
+    const file = {
+        name: 'Sunday Ride.geojson',
+        arrayBuffer: async () => new TextEncoder().encode(geojson).buffer
+    };
+    const route = await importRouteFile(file);
+    assert.equal(route.name, 'Sunday Ride');
+
+    await assert.rejects(
+        importRouteFile({ name: 'notes.txt', arrayBuffer: async () => new ArrayBuffer(0) }),
+        /Unsupported file type. Use GPX, TCX, FIT or GeoJSON./
+    );
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sampleRoutePoints } from '../js/services/routeService.js';
+
+const KM_PER_DEGREE = 111.195;
+
+/**
+ * A straight route due north along the prime meridian, with a point every `stepKm`
+ */
+function northboundRoute(lengthKm, stepKm = 0.5) {
+    const coords = [];
+    for (let km = 0; km <= lengthKm + 1e-9; km += stepKm) {
+        coords.push([km / KM_PER_DEGREE, 0]);
+    }
+    return coords;
+}
+
+test('covers the whole corridor when enough samples are allowed', () => {
+    const result = sampleRoutePoints(northboundRoute(20), { radiusKm: 2.5, corridorKm: 1.5, maxPoints: 40 });
+
+    // Each sample covers sqrt(2.5² - 1.5²) = 2 km either side
+    assert.ok(Math.abs(result.routeKm - 20) < 0.05);
+    assert.equal(result.points.length, 5);
+    assert.ok(result.spacingKm <= 4);
+    assert.deepEqual(result.gaps, []);
+    assert.equal(result.coveredKm, result.routeKm);
+});
+
+test('places samples by distance, not by track point index', () => {
+    // Dense points for the first kilometre, then one long segment
+    const coords = [...northboundRoute(1, 0.01), [10 / KM_PER_DEGREE, 0]];
+    const { points, spacingKm } = sampleRoutePoints(coords, { radiusKm: 1, maxPoints: 40 });
+
+    assert.equal(points.length, 5);
+    points.forEach(([lat], i) => {
+        assert.ok(Math.abs(lat * KM_PER_DEGREE - (i + 0.5) * spacingKm) < 0.01);
+    });
+});
+
+test('stretches the spacing at the point cap and reports the gaps', () => {
+    const result = sampleRoutePoints(northboundRoute(20), { radiusKm: 2.5, corridorKm: 1.5, maxPoints: 3 });
+
+    assert.equal(result.points.length, 3);
+    assert.ok(Math.abs(result.spacingKm - result.routeKm / 3) < 1e-9);
+
+    // Samples at 1/6, 3/6 and 5/6 of the route each cover 4 km, leaving 4 gaps
+    assert.equal(result.gaps.length, 4);
+    assert.equal(result.gaps[0].startKm, 0);
+    assert.ok(Math.abs(result.gaps[3].endKm - result.routeKm) < 1e-9);
+    assert.ok(Math.abs(result.coveredKm - 12) < 1e-9);
+    for (const gap of result.gaps) {
+        assert.ok(gap.endKm > gap.startKm);
+    }
+});
+
+test('handles empty and zero-length routes', () => {
+    assert.deepEqual(sampleRoutePoints([]), { points: [], spacingKm: 0, routeKm: 0, coveredKm: 0, gaps: [] });
+    assert.deepEqual(sampleRoutePoints([[1, 2], [1, 2]]).points, [[1, 2]]);
+});
+
+test('requires the search radius to be wider than the corridor', () => {
+    assert.throws(
+        () => sampleRoutePoints(northboundRoute(5), { radiusKm: 2, corridorKm: 2 }),
+        /Search radius must be wider than the corridor/
+    );
+});
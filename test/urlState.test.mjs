@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatViewQuery, parseViewQuery } from '../js/utils/urlState.js';
+
+const defaultState = {
+    route: { type: 'route', id: '123' },
+    timeWindow: 14,
+    anchorDate: null,
+    season: null,
+    distanceFilter: 0.5,
+    rarityFilter: 'all',
+    speciesFilter: null,
+    selectedBird: null,
+    mapView: null
+};
+
+test('leaves defaults out of the link, except the corridor width', () => {
+    assert.equal(formatViewQuery(defaultState), 'within=0.5');
+    assert.deepEqual(parseViewQuery('within=0.5'), { distanceFilter: 0.5 });
+});
+
+test('round-trips a full view', () => {
+    const query = formatViewQuery({
+        ...defaultState,
+        timeWindow: 7,
+        anchorDate: '2024-05-03',
+        distanceFilter: 1,
+        rarityFilter: 'notable',
+        speciesFilter: { type: 'family', value: 'Accipitridae', label: 'Hawks, Eagles, and Kites' },
+        selectedBird: { speciesCode: 'osprey', comName: 'Osprey' },
+        mapView: { lat: 47.606209, lng: -122.332071, zoom: 13 }
+    });
+
+    assert.equal(query, 'days=7&date=2024-05-03&within=1&show=notable&species=family:Accipitridae' +
+        '&label=Hawks,+Eagles,+and+Kites&bird=osprey&map=47.60621,-122.33207,13');
+    assert.deepEqual(parseViewQuery(`?${query}`), {
+        timeWindow: 7,
+        anchorDate: '2024-05-03',
+        distanceFilter: 1,
+        rarityFilter: 'notable',
+        speciesFilter: { type: 'family', value: 'Accipitridae', label: 'Hawks, Eagles, and Kites' },
+        selectedSpecies: 'osprey',
+        mapView: { lat: 47.60621, lng: -122.33207, zoom: 13 }
+    });
+});
+
+test('shares a season instead of the time window and date', () => {
+    const query = formatViewQuery({ ...defaultState, season: '05-2', timeWindow: 30, anchorDate: '2024-05-03' });
+    assert.equal(query, 'season=05-2&within=0.5');
+    assert.deepEqual(parseViewQuery(query), { season: '05-2', distanceFilter: 0.5 });
+});
+
+test('marks a trip viewed without its ride date', () => {
+    const trip = { ...defaultState, route: { type: 'trip', id: '456' } };
+    assert.equal(formatViewQuery(trip), 'date=none&within=0.5');
+    assert.deepEqual(parseViewQuery('date=none'), { anchorDate: null });
+
+    // Routes have no ride date to clear
+    assert.ok(!('anchorDate' in parseViewQuery(formatViewQuery(defaultState))));
+});
+
+test('keeps text filters without a label and labels them by their value', () => {
+    const query = formatViewQuery({ ...defaultState, speciesFilter: { type: 'text', value: 'warbler', label: 'warbler' } });
+    assert.equal(query, 'within=0.5&species=text:warbler');
+    assert.deepEqual(parseViewQuery(query).speciesFilter, { type: 'text', value: 'warbler', label: 'warbler' });
+});
+
+test('ignores malformed values', () => {
+    assert.deepEqual(parseViewQuery(
+        'days=-3&date=2024-13-45&season=13-1&within=abc&show=everything' +
+        '&species=color:red&bird=<script>&map=95,10,12'
+    ), {});
+    assert.deepEqual(parseViewQuery('species=group&date=May+3&map=47.6,-122.3,12.5'), {});
+});